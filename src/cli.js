@@ -6,8 +6,13 @@
  */
 
 import { Command } from 'commander';
-import HttpWrapper from './index.js';
+import HttpWrapper, { CircuitBreaker, FileBreakerStateStore, FileCacheStore } from './index.js';
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'http-timeout-wrapper');
+const DEFAULT_STATE_FILE = path.join(DEFAULT_CACHE_DIR, 'circuit-state.json');
 
 const program = new Command();
 
@@ -26,10 +31,15 @@ program
   .option('-b, --base-delay <ms>', 'Base delay for exponential backoff (ms)', '1000')
   .option('--max-delay <ms>', 'Maximum delay cap (ms)', '30000')
   .option('--no-jitter', 'Disable jitter')
+  .option('--backoff <strategy>', 'Backoff strategy (full-jitter, equal-jitter, decorrelated-jitter, exponential, constant, linear, fibonacci)')
   .option('--no-circuit-breaker', 'Disable circuit breaker')
   .option('--failure-threshold <number>', 'Circuit breaker failure threshold', '5')
   .option('--success-threshold <number>', 'Circuit breaker success threshold', '2')
   .option('--circuit-timeout <ms>', 'Circuit breaker half-open timeout (ms)', '60000')
+  .option('--circuit-state <file>', 'File that keeps circuit breaker state between runs', DEFAULT_STATE_FILE)
+  .option('--no-circuit-state', 'Do not persist circuit breaker state between runs')
+  .option('--cache', 'Reuse cached responses between runs (honours Cache-Control, revalidates with ETag/Last-Modified)')
+  .option('--cache-dir <dir>', 'Directory for cached responses', DEFAULT_CACHE_DIR)
   .option('-o, --output <file>', 'Output to file instead of stdout')
   .option('-q, --quiet', 'Suppress retry messages')
   .option('-v, --verbose', 'Verbose output')
@@ -49,10 +59,13 @@ program
   .option('-b, --base-delay <ms>', 'Base delay for exponential backoff (ms)', '1000')
   .option('--max-delay <ms>', 'Maximum delay cap (ms)', '30000')
   .option('--no-jitter', 'Disable jitter')
+  .option('--backoff <strategy>', 'Backoff strategy (full-jitter, equal-jitter, decorrelated-jitter, exponential, constant, linear, fibonacci)')
   .option('--no-circuit-breaker', 'Disable circuit breaker')
   .option('--failure-threshold <number>', 'Circuit breaker failure threshold', '5')
   .option('--success-threshold <number>', 'Circuit breaker success threshold', '2')
   .option('--circuit-timeout <ms>', 'Circuit breaker half-open timeout (ms)', '60000')
+  .option('--circuit-state <file>', 'File that keeps circuit breaker state between runs', DEFAULT_STATE_FILE)
+  .option('--no-circuit-state', 'Do not persist circuit breaker state between runs')
   .option('-o, --output <file>', 'Output to file instead of stdout')
   .option('-q, --quiet', 'Suppress retry messages')
   .option('-v, --verbose', 'Verbose output')
@@ -72,10 +85,13 @@ program
   .option('-b, --base-delay <ms>', 'Base delay for exponential backoff (ms)', '1000')
   .option('--max-delay <ms>', 'Maximum delay cap (ms)', '30000')
   .option('--no-jitter', 'Disable jitter')
+  .option('--backoff <strategy>', 'Backoff strategy (full-jitter, equal-jitter, decorrelated-jitter, exponential, constant, linear, fibonacci)')
   .option('--no-circuit-breaker', 'Disable circuit breaker')
   .option('--failure-threshold <number>', 'Circuit breaker failure threshold', '5')
   .option('--success-threshold <number>', 'Circuit breaker success threshold', '2')
   .option('--circuit-timeout <ms>', 'Circuit breaker half-open timeout (ms)', '60000')
+  .option('--circuit-state <file>', 'File that keeps circuit breaker state between runs', DEFAULT_STATE_FILE)
+  .option('--no-circuit-state', 'Do not persist circuit breaker state between runs')
   .option('-o, --output <file>', 'Output to file instead of stdout')
   .option('-q, --quiet', 'Suppress retry messages')
   .option('-v, --verbose', 'Verbose output')
@@ -93,10 +109,13 @@ program
   .option('-b, --base-delay <ms>', 'Base delay for exponential backoff (ms)', '1000')
   .option('--max-delay <ms>', 'Maximum delay cap (ms)', '30000')
   .option('--no-jitter', 'Disable jitter')
+  .option('--backoff <strategy>', 'Backoff strategy (full-jitter, equal-jitter, decorrelated-jitter, exponential, constant, linear, fibonacci)')
   .option('--no-circuit-breaker', 'Disable circuit breaker')
   .option('--failure-threshold <number>', 'Circuit breaker failure threshold', '5')
   .option('--success-threshold <number>', 'Circuit breaker success threshold', '2')
   .option('--circuit-timeout <ms>', 'Circuit breaker half-open timeout (ms)', '60000')
+  .option('--circuit-state <file>', 'File that keeps circuit breaker state between runs', DEFAULT_STATE_FILE)
+  .option('--no-circuit-state', 'Do not persist circuit breaker state between runs')
   .option('-o, --output <file>', 'Output to file instead of stdout')
   .option('-q, --quiet', 'Suppress retry messages')
   .option('-v, --verbose', 'Verbose output')
@@ -116,10 +135,13 @@ program
   .option('-b, --base-delay <ms>', 'Base delay for exponential backoff (ms)', '1000')
   .option('--max-delay <ms>', 'Maximum delay cap (ms)', '30000')
   .option('--no-jitter', 'Disable jitter')
+  .option('--backoff <strategy>', 'Backoff strategy (full-jitter, equal-jitter, decorrelated-jitter, exponential, constant, linear, fibonacci)')
   .option('--no-circuit-breaker', 'Disable circuit breaker')
   .option('--failure-threshold <number>', 'Circuit breaker failure threshold', '5')
   .option('--success-threshold <number>', 'Circuit breaker success threshold', '2')
   .option('--circuit-timeout <ms>', 'Circuit breaker half-open timeout (ms)', '60000')
+  .option('--circuit-state <file>', 'File that keeps circuit breaker state between runs', DEFAULT_STATE_FILE)
+  .option('--no-circuit-state', 'Do not persist circuit breaker state between runs')
   .option('-o, --output <file>', 'Output to file instead of stdout')
   .option('-q, --quiet', 'Suppress retry messages')
   .option('-v, --verbose', 'Verbose output')
@@ -127,6 +149,119 @@ program
     await makeRequest('PATCH', url, options.data, options);
   });
 
+// Circuit breaker state commands
+const circuit = program
+  .command('circuit')
+  .description('Inspect and control circuit breakers persisted between runs');
+
+circuit
+  .command('status [target]')
+  .description('Show circuit breaker states (all, or for a URL, origin or host)')
+  .option('--circuit-state <file>', 'Circuit breaker state file', DEFAULT_STATE_FILE)
+  .option('--circuit-timeout <ms>', 'Circuit breaker half-open timeout (ms)', '60000')
+  .option('--json', 'Print states as JSON')
+  .action(async (target, options) => {
+    const states = await new FileBreakerStateStore({ file: options.circuitState }).getAll();
+    const keys = matchBreakerKeys(Object.keys(states), target);
+
+    if (options.json) {
+      console.log(JSON.stringify(Object.fromEntries(keys.map(key => [key, states[key]])), null, 2));
+      return;
+    }
+    if (keys.length === 0) {
+      console.log('No circuit breaker state recorded');
+      return;
+    }
+
+    const timeout = parseInt(options.circuitTimeout);
+    for (const key of keys) {
+      const { state, failureCount, lastFailureTime } = states[key];
+      let detail = `failures: ${failureCount}`;
+      if (state === 'open') {
+        const remaining = lastFailureTime + timeout - Date.now();
+        detail += remaining > 0 ? `, half-open in ${Math.ceil(remaining / 1000)}s` : ', half-open on next request';
+      }
+      console.log(`${state === 'closed' ? '🟢' : state === 'open' ? '🔴' : '🟡'} ${key}  ${state}  (${detail})`);
+    }
+  });
+
+circuit
+  .command('reset [target]')
+  .description('Close circuit breakers (all, or for a URL, origin or host)')
+  .option('--circuit-state <file>', 'Circuit breaker state file', DEFAULT_STATE_FILE)
+  .action(async (target, options) => {
+    const store = new FileBreakerStateStore({ file: options.circuitState });
+    if (!target) {
+      await store.clear();
+      console.log('🟢 Reset all circuit breakers');
+      return;
+    }
+
+    const keys = matchBreakerKeys(Object.keys(await store.getAll()), target);
+    for (const key of keys) {
+      await store.delete(key);
+    }
+    console.log(`🟢 Reset ${keys.length} circuit breaker(s)`);
+  });
+
+circuit
+  .command('open <target>')
+  .description('Open the circuit breakers for a URL, origin or host, as if they had just tripped')
+  .option('--circuit-state <file>', 'Circuit breaker state file', DEFAULT_STATE_FILE)
+  .action(async (target, options) => {
+    const store = new FileBreakerStateStore({ file: options.circuitState });
+    let keys = matchBreakerKeys(Object.keys(await store.getAll()), target);
+    if (keys.length === 0) {
+      // A bare host says nothing about the scheme, and http:// and https:// are separate breakers
+      if (!target.includes('://')) {
+        console.error(`❌ No circuit breaker recorded for ${target}; pass a URL or origin, e.g. https://${target}`);
+        process.exit(1);
+      }
+      keys = [toOrigin(target)];
+    }
+
+    for (const key of keys) {
+      await store.update(key, (snapshot) => {
+        const breaker = new CircuitBreaker({}, key);
+        breaker.restore(snapshot);
+        breaker.forceOpen();
+        return breaker.toJSON();
+      });
+      console.log(`🔴 Opened circuit breaker for ${key}`);
+    }
+  });
+
+/**
+ * Origin of a URL, or the input itself if it is not a URL
+ */
+function toOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Breaker keys matching a URL or origin, or a bare host; all keys when no target is given
+ */
+function matchBreakerKeys(keys, target) {
+  if (!target) {
+    return keys;
+  }
+  if (target.includes('://')) {
+    return keys.filter(key => key === toOrigin(target));
+  }
+  return keys.filter(key => {
+    try {
+      const { host, hostname } = new URL(key);
+      return host === target || hostname === target;
+    } catch {
+      return key === target;
+    }
+  });
+}
+
 /**
  * Parse headers from command line
  */
@@ -190,12 +325,14 @@ async function makeRequest(method, url, data, options) {
     timeout: parseInt(options.timeout),
     baseDelay: parseInt(options.baseDelay),
     maxDelay: parseInt(options.maxDelay),
-    jitter: options.jitter !== false,
+    backoff: options.backoff ?? (options.jitter === false ? 'exponential' : 'full-jitter'),
     circuitBreaker: {
       enabled: options.circuitBreaker !== false,
       failureThreshold: parseInt(options.failureThreshold),
       successThreshold: parseInt(options.successThreshold),
       timeout: parseInt(options.circuitTimeout),
+      // Continue from the breaker state left by earlier (or concurrent) runs
+      store: options.circuitState ? new FileBreakerStateStore({ file: options.circuitState }) : null,
       onCircuitOpen: () => {
         if (!options.quiet) {
           console.error('🔴 Circuit breaker opened');
@@ -207,6 +344,10 @@ async function makeRequest(method, url, data, options) {
         }
       },
     },
+    cache: {
+      enabled: Boolean(options.cache),
+      store: options.cache ? new FileCacheStore({ directory: options.cacheDir }) : null,
+    },
     onRetry: (attempt, error) => {
       attemptCount++;
       if (!options.quiet) {
@@ -266,9 +407,12 @@ async function makeRequest(method, url, data, options) {
       if (attemptCount > 0) {
         console.error(`🔄 Retries: ${attemptCount}`);
       }
+      if (response.cacheStatus) {
+        console.error(`💾 Cache: ${response.cacheStatus}`);
+      }
 
       // Circuit breaker state
-      const cbState = http.getCircuitBreakerState();
+      const cbState = http.getCircuitBreakerState(url);
       console.error(`🔌 Circuit Breaker: ${cbState.state}`);
       console.error('');
     }
@@ -309,6 +453,13 @@ async function makeRequest(method, url, data, options) {
       if (attemptCount > 0) {
         console.error(`🔄 Retries: ${attemptCount}`);
       }
+
+      // Show what the server said, for HttpErrors and retries that ended in one
+      const httpError = error.lastError ?? error;
+      if (httpError.body !== null && httpError.body !== undefined) {
+        const body = typeof httpError.body === 'string' ? httpError.body : JSON.stringify(httpError.body, null, 2);
+        console.error(`📄 Response body${httpError.bodyTruncated ? ' (truncated)' : ''}:\n${body}`);
+      }
     }
     process.exit(1);
   }
@@ -4,73 +4,330 @@
  */
 
 import { setTimeout as sleep } from 'timers/promises';
+import { EventEmitter } from 'events';
+import { randomUUID, createHash } from 'crypto';
+import { mkdir, open, readFile, rename, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
 
 // Default configuration
 const DEFAULT_CONFIG = {
-  timeout: 30000,           // Request timeout in ms
+  baseURL: null,            // Prefix for relative request URLs, e.g. 'https://api.example.com/v1'
+  headers: {},              // Headers sent with every request (per-call headers win)
+  params: {},               // Query params added to every request (merged with options.params)
+  paramsSerializer: {       // Or a function: (params) => query string
+    arrayFormat: 'repeat',    // 'repeat' (a=1&a=2), 'brackets' (a[]=1), 'indices' (a[0]=1) or 'comma' (a=1,2)
+    nestedFormat: 'brackets', // 'brackets' (user[name]=x) or 'dots' (user.name=x)
+  },
+  timeout: 30000,           // Request timeout in ms (until response headers)
+  connectTimeout: null,     // Connection setup timeout in ms (needs undici)
+  headersTimeout: null,     // Response headers timeout in ms, defaults to timeout
+  bodyTimeout: null,        // Time allowed to read the whole body in ms
+  bodyIdleTimeout: null,    // Max gap between body chunks in ms
+  bufferBody: false,        // Read the body inside the retry loop
+  errorBodyLimit: 4096,     // Bytes of an error response body kept on HttpError (0 = don't read)
+  bodyReplayLimit: 1048576, // Bytes of a streamed request body buffered for retries (0 = send once)
   maxRetries: 3,            // Maximum number of retries
   baseDelay: 1000,          // Base delay for exponential backoff (ms)
   maxDelay: 30000,          // Maximum delay cap (ms)
-  retryableStatuses: [408, 429, 500, 502, 503, 504],  // Status codes to retry
+  retryableStatuses: [408, 429, 500, 502, 503, 504],  // Status codes or ranges like '5xx' to retry
   retryableErrors: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND'],
   circuitBreaker: {
     enabled: true,
+    keyBy: 'origin',        // 'origin', 'global', or (url, options) => key
+    mode: 'consecutive',    // 'consecutive' or 'failure-rate'
     failureThreshold: 5,    // Open circuit after N failures
     successThreshold: 2,    // Close circuit after N successes
     timeout: 60000,         // Half-open timeout in ms
+    halfOpenMaxCalls: 1,    // Max concurrent trial calls while half-open
+    // failure-rate mode only
+    failureRateThreshold: 50,   // Open circuit at this failure percentage
+    minimumThroughput: 10,      // Calls required in the window before tripping
+    windowType: 'count',        // 'count' (last N calls) or 'time' (last N ms)
+    windowSize: 20,             // Window length in calls or ms
+    slowCallThreshold: null,    // Count successes slower than this (ms) as failures
+    store: null,                // Shared async state store, e.g. MemoryBreakerStateStore
+  },
+  retryBudget: {
+    enabled: false,
+    ratio: 0.2,               // Retries may add at most this share of extra requests
+    minRetriesPerSecond: 10,  // Retries always allowed per second, regardless of ratio
+    maxTokens: 100,           // Cap on retry tokens saved up while healthy
+  },
+  hedge: {
+    enabled: false,
+    delay: 'p95',             // ms, or 'pNN' percentile of recently observed latency
+    maxHedges: 1,             // Extra parallel requests per attempt
+    minSamples: 20,           // Latency samples needed before a percentile delay applies
+    methods: ['GET', 'HEAD'], // Only idempotent methods may be hedged
+  },
+  bulkhead: {
+    enabled: false,
+    keyBy: 'global',          // 'global' (whole wrapper), 'origin', or (url, options) => key
+    maxConcurrent: 10,        // Max logical requests in flight
+    maxQueue: 100,            // Max requests waiting for a slot
+    queueTimeout: 30000,      // Max wait for a slot in ms (0 = no limit)
   },
-  jitter: true,             // Add random jitter to delays
-  onRetry: null,            // Callback: (attempt, error) => void
+  rateLimit: {
+    enabled: false,
+    algorithm: 'token-bucket',  // 'token-bucket' or 'sliding-window'
+    limit: 10,                // Requests allowed per interval, per origin
+    interval: 1000,           // Interval in ms
+    maxWait: 30000,           // Fail instead of waiting longer than this (ms)
+    adaptive: true,           // Follow RateLimit-* / X-RateLimit-* response headers
+    origins: {},              // Per-origin overrides: { 'https://api.example.com': { limit: 5 } }
+  },
+  cache: {
+    enabled: false,           // Cache GET responses per Cache-Control, revalidating with ETag/Last-Modified
+    store: null,              // Custom store (get/set/delete/clear); defaults to an in-memory LRU
+    maxEntries: 100,          // In-memory store limits
+    maxBytes: 10 * 1024 * 1024,
+  },
+  coalesce: {
+    enabled: false,           // Share one in-flight request between identical concurrent GETs
+    headers: ['accept', 'authorization'],  // Request headers that must also match
+  },
+  shouldRetry: null,        // (ctx) => true, false, delay in ms, or undefined to use the lists above
+  retryOnInvalid: false,    // getJson & co: retry a 2xx response that fails its validator, counting it as a breaker failure
+  fallback: null,           // 'last-good', or (ctx) => substitute value or Response on failure
+  keepLastGood: false,      // Remember successful GETs even without a 'last-good' fallback (per-call use, fallback functions)
+  lastGoodMaxBytes: 1024 * 1024,  // Larger bodies are not remembered for 'last-good'
+  tracer: null,             // { startSpan(name, { parent, attributes }) }, see createOpenTelemetryTracer
+  backoff: 'full-jitter',   // Strategy name (see BACKOFF_STRATEGIES) or (attempt, lastDelay, error) => ms
+  randomSeed: null,         // Seed jitter randomness for reproducible delays
+  respectRetryAfter: true,  // Honor Retry-After / RateLimit-Reset headers
+  maxRetryAfter: 60000,     // Give up if the server asks us to wait longer (ms)
+  totalTimeout: null,       // Deadline for the whole request incl. retries (ms)
+  retryPolicy: {            // Per-method: 'always', 'never' or 'idempotency-key'
+    POST: 'idempotency-key',  // Only retried when an Idempotency-Key is sent
+    PATCH: 'idempotency-key',
+  },                        // Methods not listed are always retried
+  autoIdempotencyKey: false,  // Generate one Idempotency-Key per request (true or () => key)
+  idempotencyKeyHeader: 'Idempotency-Key',
+  middleware: [],           // Request/response middleware, see HttpWrapper#use
+  onRetry: null,            // Callback: (attempt, error, { delay, reason }) => void
+  onHedge: null,            // Callback: (attempt, { hedge, delay }) => void
   onCircuitOpen: null,      // Callback: () => void
   onCircuitClose: null,     // Callback: () => void
 };
 
+// Key used when all requests share one breaker or bulkhead
+const GLOBAL_KEY = 'global';
+
+/**
+ * Resolve the grouping key for a request: 'origin', 'global', or a custom (url, options) => key
+ */
+function resolveRequestKey(keyBy, url, options = {}) {
+  if (typeof keyBy === 'function') {
+    return String(keyBy(url, options));
+  }
+
+  if (keyBy === 'global') {
+    return GLOBAL_KEY;
+  }
+
+  const href = typeof url === 'object' && url.url ? url.url : String(url);
+  try {
+    return new URL(href).origin;
+  } catch {
+    return href;
+  }
+}
+
+/**
+ * Rolling window of call outcomes, bounded by call count or by age in ms
+ */
+class SlidingWindow {
+  constructor(type, size) {
+    this.type = type;  // count, time
+    this.size = size;
+    this.calls = [];
+  }
+
+  record(failed, now = Date.now()) {
+    this.calls.push({ time: now, failed });
+    this.prune(now);
+  }
+
+  prune(now = Date.now()) {
+    if (this.type === 'time') {
+      const cutoff = now - this.size;
+      while (this.calls.length > 0 && this.calls[0].time <= cutoff) {
+        this.calls.shift();
+      }
+    } else if (this.calls.length > this.size) {
+      this.calls.splice(0, this.calls.length - this.size);
+    }
+  }
+
+  stats(now = Date.now()) {
+    this.prune(now);
+    const total = this.calls.length;
+    const failures = this.calls.filter(call => call.failed).length;
+    return { total, failures, failureRate: total === 0 ? 0 : (failures / total) * 100 };
+  }
+
+  clear() {
+    this.calls = [];
+  }
+}
+
 /**
  * Circuit breaker state machine
  */
 class CircuitBreaker {
-  constructor(config) {
+  constructor(config, key = GLOBAL_KEY, onStateChange = null) {
     this.config = config;
+    this.key = key;
+    this.onStateChange = onStateChange;  // (key, from, to) => void
     this.state = 'closed';  // closed, open, half-open
     this.failureCount = 0;
     this.successCount = 0;
     this.lastFailureTime = null;
+    this.halfOpenInFlight = 0;
+    this.window = null;     // SlidingWindow, in failure-rate mode only
   }
 
-  async execute(fn) {
+  /**
+   * Run fn through the breaker. A failure after `signal` aborted is the caller cancelling,
+   * whatever the abort reason, and isn't counted.
+   */
+  async execute(fn, signal) {
     if (!this.config.enabled) {
       return fn();
     }
 
+    // Pick up transitions made by other processes sharing the store
+    if (this.config.store) {
+      await this.sync();
+    }
+
+    const now = Date.now();
+    this.checkTimeout(now);
     if (this.state === 'open') {
-      const now = Date.now();
-      if (now - this.lastFailureTime >= this.config.timeout) {
-        this.state = 'half-open';
-        this.successCount = 0;
-      } else {
-        throw new CircuitBreakerOpenError('Circuit breaker is OPEN');
+      throw new CircuitBreakerOpenError('Circuit breaker is OPEN', this.getRemainingTimeout(now));
+    }
+
+    // Only let a limited number of trial calls through while half-open
+    const isProbe = this.state === 'half-open';
+    if (isProbe) {
+      const { halfOpenMaxCalls } = { ...DEFAULT_CONFIG.circuitBreaker, ...this.config };
+      if (this.halfOpenInFlight >= halfOpenMaxCalls) {
+        throw new CircuitBreakerOpenError('Circuit breaker is HALF-OPEN, probe limit reached', this.getRemainingTimeout());
       }
+      this.halfOpenInFlight++;
     }
 
+    const startTime = Date.now();
     try {
       const result = await fn();
-      this.onSuccess();
+      const duration = Date.now() - startTime;
+      await this.record(breaker => breaker.onSuccess(duration));
       return result;
     } catch (error) {
-      this.onFailure();
+      // A caller cancelling the request, our own rate limiter refusing to wait, or the
+      // deadline running out before anything was sent says nothing about the service's health
+      if (!signal?.aborted && error?.name !== 'AbortError' && error?.name !== 'RateLimitExceededError' && !isUnsentDeadline(error)) {
+        await this.record(breaker => breaker.onFailure());
+      }
       throw error;
+    } finally {
+      if (isProbe) {
+        this.halfOpenInFlight--;
+      }
+    }
+  }
+
+  /**
+   * Load the latest shared state from the store. If the store can't be reached,
+   * the breaker carries on with its local state.
+   */
+  async sync() {
+    try {
+      this.restore(await this.config.store.get(this.key) ?? null);
+    } catch {
+      // Keep the local state
+    }
+  }
+
+  /**
+   * Apply a call outcome, given as breaker => void. With a store, it is applied to the latest
+   * shared state inside store.update(), so concurrent processes don't overwrite each other's
+   * outcomes. update() may run that more than once, so it works on a scratch breaker and the
+   * callbacks and state events fire once the stored result is known.
+   */
+  async record(apply) {
+    const { store } = this.config;
+    if (!store) {
+      apply(this);
+      return;
+    }
+
+    let next;
+    let transition;
+    try {
+      await store.update(this.key, (snapshot) => {
+        transition = null;
+        const scratch = new CircuitBreaker({
+          ...this.config,
+          onCircuitOpen: () => { transition = 'open'; },
+          onCircuitClose: () => { transition = 'close'; },
+        }, this.key);
+        scratch.restore(snapshot ?? null);
+        scratch.checkTimeout();
+        apply(scratch);
+        next = scratch.toJSON();
+        return next;
+      });
+    } catch {
+      // The outcome still counts locally; the next successful update shares it
+      apply(this);
+      return;
+    }
+
+    this.restore(next);
+    if (transition === 'open') {
+      this.config.onCircuitOpen?.(this.key);
+    } else if (transition === 'close') {
+      this.config.onCircuitClose?.(this.key);
+    }
+  }
+
+  /**
+   * Move an open circuit to half-open once its timeout has passed
+   */
+  checkTimeout(now = Date.now()) {
+    if (this.state === 'open' && now - this.lastFailureTime >= this.config.timeout) {
+      this.setState('half-open');
+      this.successCount = 0;
+    }
+  }
+
+  /**
+   * Time left (ms) before an open circuit allows trial calls again
+   */
+  getRemainingTimeout(now = Date.now()) {
+    if (this.lastFailureTime === null) {
+      return 0;
     }
+    return Math.max(0, this.lastFailureTime + this.config.timeout - now);
   }
 
-  onSuccess() {
+  onSuccess(duration = 0) {
+    if (this.isSlowCall(duration)) {
+      this.onFailure();
+      return;
+    }
+
     this.failureCount = 0;
     this.successCount++;
+    this.getWindow()?.record(false);
 
     if (this.state === 'half-open') {
       if (this.successCount >= this.config.successThreshold) {
-        this.state = 'closed';
+        this.setState('closed');
         this.successCount = 0;
-        this.config.onCircuitClose?.();
+        this.window?.clear();
+        this.config.onCircuitClose?.(this.key);
       }
     }
   }
@@ -79,241 +336,3236 @@ class CircuitBreaker {
     this.failureCount++;
     this.successCount = 0;
     this.lastFailureTime = Date.now();
+    this.getWindow()?.record(true);
 
-    if (this.failureCount >= this.config.failureThreshold) {
+    if (this.shouldTrip()) {
       if (this.state !== 'open') {
-        this.state = 'open';
-        this.config.onCircuitOpen?.();
+        this.setState('open');
+        this.config.onCircuitOpen?.(this.key);
       }
     }
   }
 
+  /**
+   * Move to a new state, reporting the transition
+   */
+  setState(state) {
+    const from = this.state;
+    this.state = state;
+    if (from !== state) {
+      this.onStateChange?.(this.key, from, state);
+    }
+  }
+
+  /**
+   * Whether the recorded failures warrant opening the circuit
+   */
+  shouldTrip() {
+    // Any failed probe while half-open sends the circuit straight back to open
+    if (this.state === 'half-open') {
+      return true;
+    }
+
+    if (this.config.mode !== 'failure-rate') {
+      return this.failureCount >= this.config.failureThreshold;
+    }
+
+    const { failureRateThreshold, minimumThroughput } = { ...DEFAULT_CONFIG.circuitBreaker, ...this.config };
+    const { total, failureRate } = this.window.stats();
+    return total >= minimumThroughput && failureRate >= failureRateThreshold;
+  }
+
+  /**
+   * Whether a successful call was slow enough to count as a failure
+   */
+  isSlowCall(duration) {
+    const { mode, slowCallThreshold } = this.config;
+    return mode === 'failure-rate' && slowCallThreshold != null && duration > slowCallThreshold;
+  }
+
+  /**
+   * Get the outcome window, (re)creating it when the window config changes
+   */
+  getWindow() {
+    if (this.config.mode !== 'failure-rate') {
+      return null;
+    }
+
+    const { windowType, windowSize } = { ...DEFAULT_CONFIG.circuitBreaker, ...this.config };
+    if (!this.window || this.window.type !== windowType || this.window.size !== windowSize) {
+      this.window = new SlidingWindow(windowType, windowSize);
+    }
+    return this.window;
+  }
+
   getState() {
-    return {
+    const state = {
       state: this.state,
       failureCount: this.failureCount,
       successCount: this.successCount,
       lastFailureTime: this.lastFailureTime,
     };
+
+    const window = this.getWindow();
+    if (window) {
+      const { total, failureRate } = window.stats();
+      state.windowCalls = total;
+      state.failureRate = failureRate;
+    }
+
+    return state;
   }
 
-  reset() {
-    this.state = 'closed';
+  /**
+   * Close the circuit and clear its counts, in the store too when one is configured.
+   * The local reset happens at once; the returned promise settles once the store is cleared.
+   */
+  async reset() {
+    this.setState('closed');
     this.failureCount = 0;
     this.successCount = 0;
     this.lastFailureTime = null;
+    this.window?.clear();
+    try {
+      await this.config.store?.delete(this.key);
+    } catch {
+      // The next successful update shares the reset state
+    }
   }
-}
 
-/**
- * Custom error for circuit breaker open state
- */
-class CircuitBreakerOpenError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'CircuitBreakerOpenError';
+  /**
+   * Open the circuit by hand, as if it had just tripped
+   */
+  forceOpen(now = Date.now()) {
+    this.setState('open');
+    this.successCount = 0;
+    this.lastFailureTime = now;
   }
-}
-
-/**
- * Calculate exponential backoff delay with optional jitter
- */
-function calculateDelay(attempt, baseDelay, maxDelay, withJitter = true) {
-  const exponentialDelay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
 
-  if (!withJitter) {
-    return exponentialDelay;
+  /**
+   * Serializable snapshot of the breaker's state, for persisting it
+   */
+  toJSON() {
+    return {
+      state: this.state,
+      failureCount: this.failureCount,
+      successCount: this.successCount,
+      lastFailureTime: this.lastFailureTime,
+      window: this.window ? this.window.calls : null,
+    };
   }
 
-  // Full jitter: random value between 0 and exponential delay
-  return Math.floor(Math.random() * exponentialDelay);
+  /**
+   * Load a snapshot from toJSON(). A missing snapshot leaves the breaker as it is;
+   * null means nothing is recorded, i.e. a closed circuit with no counts.
+   */
+  restore(snapshot) {
+    if (snapshot === undefined) {
+      return;
+    }
+    snapshot ??= {};
+    this.setState(snapshot.state ?? 'closed');
+    this.failureCount = snapshot.failureCount ?? 0;
+    this.successCount = snapshot.successCount ?? 0;
+    this.lastFailureTime = snapshot.lastFailureTime ?? null;
+    const window = this.getWindow();
+    if (window) {
+      window.calls = Array.isArray(snapshot.window) ? [...snapshot.window] : [];
+    }
+  }
 }
 
 /**
- * Check if error is retryable
+ * Lazily created circuit breakers, one per key (origin by default)
  */
-function isRetryableError(error, retryableStatuses, retryableErrors) {
-  // Check status code
-  if (error.status && retryableStatuses.includes(error.status)) {
-    return true;
+class CircuitBreakerRegistry {
+  constructor(config, onStateChange = null) {
+    this.config = config;
+    this.listeners = new Set(onStateChange ? [onStateChange] : []);  // (key, from, to) => void, for every breaker
+    this.breakers = new Map();
   }
 
-  // Check error code (for network errors)
-  if (error.code && retryableErrors.includes(error.code)) {
-    return true;
+  /**
+   * Report a breaker's transition to every listener; each wrapper sharing the registry adds one
+   */
+  notify(key, from, to) {
+    for (const listener of this.listeners) {
+      listener(key, from, to);
+    }
   }
 
-  // Check for timeout
-  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
-    return true;
+  /**
+   * Resolve the breaker key for a request
+   */
+  keyFor(url, options = {}) {
+    return resolveRequestKey(this.config.keyBy ?? 'origin', url, options);
   }
 
-  return false;
-}
-
-/**
- * Fetch with timeout
- */
-async function fetchWithTimeout(url, options = {}, timeout) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-    });
+  /**
+   * Get the breaker for a key, creating it on first use
+   */
+  get(key) {
+    let breaker = this.breakers.get(key);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.config, key, (...args) => this.notify(...args));
+      this.breakers.set(key, breaker);
+    }
+    return breaker;
+  }
 
-    clearTimeout(timeoutId);
+  /**
+   * Get state for a key without creating a breaker
+   */
+  getState(key) {
+    const breaker = this.breakers.get(key) ?? new CircuitBreaker(this.config, key);
+    return breaker.getState();
+  }
 
-    // Handle HTTP errors
-    if (!response.ok) {
-      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-      error.status = response.status;
-      throw error;
+  /**
+   * Get states of all known breakers, keyed by breaker key
+   */
+  getStates() {
+    const states = {};
+    for (const [key, breaker] of this.breakers) {
+      states[key] = breaker.getState();
     }
+    return states;
+  }
 
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
+  /**
+   * One state summing up every breaker: the worst state, total counts and the latest
+   * failure, with each breaker's own state under `breakers`
+   */
+  getAggregateState() {
+    const breakers = this.getStates();
+    const states = Object.values(breakers);
+    const failureTimes = states.map(state => state.lastFailureTime).filter(time => time !== null);
+    return {
+      state: ['open', 'half-open'].find(name => states.some(state => state.state === name)) ?? 'closed',
+      failureCount: states.reduce((total, state) => total + state.failureCount, 0),
+      successCount: states.reduce((total, state) => total + state.successCount, 0),
+      lastFailureTime: failureTimes.length > 0 ? Math.max(...failureTimes) : null,
+      breakers,
+    };
+  }
 
-    if (error.name === 'AbortError') {
-      const timeoutError = new Error(`Request timeout after ${timeout}ms`);
-      timeoutError.name = 'TimeoutError';
-      throw timeoutError;
+  /**
+   * Reset one breaker, or all of them when no key is given
+   */
+  reset(key) {
+    if (key === undefined) {
+      return Promise.all([...this.breakers.values()].map(breaker => breaker.reset()));
     }
+    return (this.breakers.get(key) ?? new CircuitBreaker(this.config, key)).reset();
+  }
 
-    throw error;
+  /**
+   * Apply new config to the registry and every existing breaker
+   */
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+    this.breakers.forEach(breaker => {
+      breaker.config = this.config;
+    });
   }
 }
 
 /**
- * Main HTTP wrapper with retry and circuit breaker
+ * Breaker snapshots (see CircuitBreaker#toJSON) kept in one JSON file, keyed by breaker key,
+ * so separate processes such as CLI runs share breaker state. Writes take a lock file and
+ * replace the file atomically, so concurrent processes never lose each other's updates.
  */
-class HttpWrapper {
-  constructor(config = {}) {
-    this.config = { ...DEFAULT_CONFIG, ...config };
-    this.circuitBreaker = new CircuitBreaker(this.config.circuitBreaker);
+class FileBreakerStateStore {
+  constructor({ file, lockTimeout = 5000, staleLockTimeout = 10000 }) {
+    this.file = file;
+    this.lockFile = `${file}.lock`;
+    this.lockTimeout = lockTimeout;            // Max wait for the lock (ms)
+    this.staleLockTimeout = staleLockTimeout;  // Locks older than this were left by a crashed process
   }
 
-  /**
-   * Execute HTTP request with retry logic and circuit breaker
-   */
-  async request(url, options = {}) {
-    const effectiveConfig = { ...this.config, ...options };
-    const { maxRetries, baseDelay, maxDelay, jitter, timeout, onRetry } = effectiveConfig;
-
-    return this.circuitBreaker.execute(async () => {
-      let lastError;
-
-      for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-          const response = await fetchWithTimeout(url, options, timeout);
-          return response;
-        } catch (error) {
-          lastError = error;
-
-          // Don't retry on last attempt
-          if (attempt === maxRetries) {
-            break;
-          }
-
-          // Check if error is retryable
-          if (!isRetryableError(error, effectiveConfig.retryableStatuses, effectiveConfig.retryableErrors)) {
-            break;
-          }
-
-          // Calculate delay and wait
-          const delay = calculateDelay(attempt, baseDelay, maxDelay, jitter);
-          onRetry?.(attempt + 1, error);
-          await sleep(delay);
-        }
+  async readAll() {
+    try {
+      return JSON.parse(await readFile(this.file, 'utf-8'));
+    } catch (error) {
+      // A missing or unreadable file means no breaker has recorded anything yet
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return {};
       }
+      throw error;
+    }
+  }
 
-      throw lastError;
-    });
+  async get(key) {
+    return (await this.readAll())[key];
   }
 
-  /**
-   * GET request
-   */
-  get(url, options = {}) {
-    return this.request(url, { ...options, method: 'GET' });
+  async getAll() {
+    return this.readAll();
   }
 
   /**
-   * POST request
+   * Atomically replace one snapshot with update(current), or delete it if that returns undefined
    */
-  post(url, data, options = {}) {
-    return this.request(url, {
-      ...options,
-      method: 'POST',
-      body: JSON.stringify(data),
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
+  async update(key, update) {
+    return this.withLock(async () => {
+      const states = await this.readAll();
+      const next = await update(states[key]);
+      if (next === undefined) {
+        delete states[key];
+      } else {
+        states[key] = next;
+      }
+      await this.writeAll(states);
+      return next;
     });
   }
 
-  /**
-   * PUT request
-   */
-  put(url, data, options = {}) {
-    return this.request(url, {
-      ...options,
-      method: 'PUT',
-      body: JSON.stringify(data),
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    });
+  async set(key, snapshot) {
+    await this.update(key, () => snapshot);
   }
 
-  /**
-   * DELETE request
-   */
-  delete(url, options = {}) {
-    return this.request(url, { ...options, method: 'DELETE' });
+  async delete(key) {
+    await this.update(key, () => undefined);
   }
 
-  /**
-   * PATCH request
-   */
-  patch(url, data, options = {}) {
-    return this.request(url, {
-      ...options,
-      method: 'PATCH',
-      body: JSON.stringify(data),
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    });
+  async clear() {
+    await this.withLock(() => this.writeAll({}));
   }
 
-  /**
-   * Get circuit breaker state
-   */
-  getCircuitBreakerState() {
-    return this.circuitBreaker.getState();
+  async writeAll(states) {
+    await mkdir(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.${randomUUID()}.tmp`;
+    await writeFile(temp, JSON.stringify(states, null, 2));
+    await rename(temp, this.file);
   }
 
-  /**
-   * Reset circuit breaker
-   */
-  resetCircuitBreaker() {
-    this.circuitBreaker.reset();
+  async withLock(fn) {
+    await mkdir(path.dirname(this.file), { recursive: true });
+    const deadline = Date.now() + this.lockTimeout;
+
+    let handle;
+    while (!handle) {
+      try {
+        handle = await open(this.lockFile, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        await this.removeStaleLock();
+        if (Date.now() >= deadline) {
+          throw new Error(`Timed out waiting for lock on ${this.file}`);
+        }
+        await sleep(20);
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await handle.close();
+      await rm(this.lockFile, { force: true });
+    }
+  }
+
+  async removeStaleLock() {
+    try {
+      const { mtimeMs } = await stat(this.lockFile);
+      if (Date.now() - mtimeMs > this.staleLockTimeout) {
+        await rm(this.lockFile, { force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Breaker snapshots kept in memory. Breakers of several wrappers in one process can share
+ * it; it also documents the store interface: async get(key), update(key, fn) and delete(key).
+ */
+class MemoryBreakerStateStore {
+  constructor() {
+    this.states = new Map();
+    this.queue = Promise.resolve();  // Runs updates one at a time
+  }
+
+  async get(key) {
+    return structuredClone(this.states.get(key));
+  }
+
+  async getAll() {
+    return structuredClone(Object.fromEntries(this.states));
+  }
+
+  /**
+   * Atomically replace one snapshot with update(current), or delete it if that returns undefined
+   */
+  update(key, update) {
+    const result = this.queue.then(async () => {
+      const next = await update(structuredClone(this.states.get(key)));
+      if (next === undefined) {
+        this.states.delete(key);
+      } else {
+        this.states.set(key, structuredClone(next));
+      }
+      return next;
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async set(key, snapshot) {
+    await this.update(key, () => snapshot);
+  }
+
+  async delete(key) {
+    await this.update(key, () => undefined);
+  }
+
+  async clear() {
+    await this.queue;
+    this.states.clear();
+  }
+}
+
+/**
+ * Breaker snapshots kept in an external key/value store (Redis, Memcached, a database table...)
+ * through a small async client: get(key) and set(key, value) with string values, and delete(key).
+ * If the client also has compareAndSet(key, expected, value), updates are retried until no
+ * other process wrote in between; without it, the last write wins.
+ */
+class KeyValueBreakerStateStore {
+  constructor({ client, prefix = 'circuit-breaker:', maxAttempts = 10 }) {
+    this.client = client;
+    this.prefix = prefix;            // Prepended to breaker keys
+    this.maxAttempts = maxAttempts;  // compareAndSet retries before giving up
+  }
+
+  async get(key) {
+    return parseSnapshot(await this.client.get(this.prefix + key));
+  }
+
+  /**
+   * Replace one snapshot with update(current), or delete it if that returns undefined
+   */
+  async update(key, update) {
+    const storeKey = this.prefix + key;
+
+    for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+      const current = (await this.client.get(storeKey)) ?? null;
+      const next = await update(parseSnapshot(current));
+
+      if (next === undefined) {
+        await this.client.delete(storeKey);
+        return next;
+      }
+
+      const value = JSON.stringify(next);
+      if (!this.client.compareAndSet) {
+        await this.client.set(storeKey, value);
+        return next;
+      }
+      if (await this.client.compareAndSet(storeKey, current, value)) {
+        return next;
+      }
+    }
+
+    throw new Error(`Could not update breaker state for ${key}: changed concurrently ${this.maxAttempts} times`);
+  }
+
+  async set(key, snapshot) {
+    await this.client.set(this.prefix + key, JSON.stringify(snapshot));
+  }
+
+  async delete(key) {
+    await this.client.delete(this.prefix + key);
+  }
+}
+
+/**
+ * Parse a stored snapshot, treating missing or corrupt values as nothing recorded
+ */
+function parseSnapshot(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Token bucket that limits retries to a share of overall traffic.
+ * Each request deposits `ratio` tokens and each retry withdraws one; a separate reserve
+ * refilled at `minRetriesPerSecond` keeps low-traffic clients able to retry.
+ */
+class RetryBudget {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG.retryBudget, ...config };
+    this.tokens = 0;
+    this.reserve = this.config.minRetriesPerSecond;
+    this.lastRefill = Date.now();
+    this.requests = 0;
+    this.retries = 0;
+    this.rejected = 0;
+  }
+
+  /**
+   * Record a new logical request
+   */
+  deposit() {
+    if (!this.config.enabled) {
+      return;
+    }
+    this.requests++;
+    // Round so repeated fractional deposits (e.g. 5 × 0.2) add up to whole tokens
+    const tokens = Math.round((this.tokens + this.config.ratio) * 1e6) / 1e6;
+    this.tokens = Math.min(tokens, this.config.maxTokens);
+  }
+
+  /**
+   * Take a token for one retry; returns false when the budget is exhausted
+   */
+  tryWithdraw() {
+    if (!this.config.enabled) {
+      return true;
+    }
+
+    this.refill();
+    if (this.reserve >= 1) {
+      this.reserve--;
+    } else if (this.tokens >= 1) {
+      this.tokens--;
+    } else {
+      this.rejected++;
+      return false;
+    }
+
+    this.retries++;
+    return true;
+  }
+
+  refill(now = Date.now()) {
+    const { minRetriesPerSecond } = this.config;
+    if (now <= this.lastRefill) {
+      return;
+    }
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.reserve = Math.min(this.reserve + elapsed * minRetriesPerSecond, minRetriesPerSecond);
+    this.lastRefill = now;
+  }
+
+  getState() {
+    this.refill();
+    return {
+      enabled: this.config.enabled,
+      tokens: this.tokens,
+      reserve: this.reserve,
+      requests: this.requests,
+      retries: this.retries,
+      rejected: this.rejected,
+    };
+  }
+
+  reset() {
+    this.tokens = 0;
+    this.reserve = this.config.minRetriesPerSecond;
+    this.lastRefill = Date.now();
+    this.requests = 0;
+    this.retries = 0;
+    this.rejected = 0;
+  }
+
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+  }
+}
+
+/**
+ * Concurrency limiter with a bounded FIFO queue of waiting calls
+ */
+class Bulkhead {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG.bulkhead, ...config };
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Wait for a free slot; rejects with BulkheadRejectedError when the queue is full or the
+   * wait exceeds `maxWait` (queueTimeout by default), or with the abort reason if `signal`
+   * fires while queued
+   */
+  acquire(signal, maxWait = this.config.queueTimeout) {
+    signal?.throwIfAborted();
+
+    const { maxConcurrent, maxQueue } = this.config;
+    if (this.active < maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= maxQueue) {
+      return Promise.reject(new BulkheadRejectedError('Bulkhead queue is full', 'queue-full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, timer: null, onAbort: null };
+
+      const leave = () => {
+        clearTimeout(entry.timer);
+        signal?.removeEventListener('abort', entry.onAbort);
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+        }
+      };
+      entry.leave = leave;
+
+      if (maxWait && Number.isFinite(maxWait)) {
+        entry.timer = setTimeout(() => {
+          leave();
+          reject(new BulkheadRejectedError(`Bulkhead queue wait exceeded ${maxWait}ms`, 'queue-timeout'));
+        }, maxWait);
+      }
+
+      entry.onAbort = () => {
+        leave();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+      this.queue.push(entry);
+    });
+  }
+
+  /**
+   * Free a slot, handing it straight to the next queued call if there is one
+   */
+  release() {
+    const next = this.queue[0];
+    if (next) {
+      next.leave();
+      next.resolve();
+    } else {
+      this.active = Math.max(0, this.active - 1);
+    }
+  }
+
+  getState() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.config.maxConcurrent,
+      maxQueue: this.config.maxQueue,
+    };
+  }
+}
+
+/**
+ * Client-side rate limiter for one origin. Calls are delayed, not rejected, until a slot is
+ * free, unless the wait would exceed maxWait. Slots are reserved up front so concurrent
+ * callers queue fairly. Quota headers from responses can tighten the limit further.
+ */
+class RateLimiter {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG.rateLimit, ...config };
+    this.tokens = this.config.limit;   // token-bucket
+    this.lastRefill = Date.now();
+    this.timestamps = [];               // sliding-window: reserved send times
+    this.blockedUntil = 0;              // Set from server quota headers
+  }
+
+  /**
+   * Reserve a slot and return the wait in ms before it may be used
+   */
+  reserve(now = Date.now()) {
+    const { algorithm, limit, interval } = this.config;
+    let sendAt;
+
+    if (algorithm === 'sliding-window') {
+      const oldest = this.timestamps.length >= limit ? this.timestamps[this.timestamps.length - limit] : -Infinity;
+      sendAt = Math.max(now, oldest + interval, this.blockedUntil);
+      this.timestamps.push(sendAt);
+      if (this.timestamps.length > limit) {
+        this.timestamps.splice(0, this.timestamps.length - limit);
+      }
+    } else {
+      this.refill(now);
+      this.tokens--;
+      const tokenWait = this.tokens < 0 ? Math.ceil((-this.tokens * interval) / limit) : 0;
+      sendAt = Math.max(now + tokenWait, this.blockedUntil);
+    }
+
+    return { wait: sendAt - now, sendAt };
+  }
+
+  /**
+   * Undo a reservation that will not be used
+   */
+  cancel({ sendAt }) {
+    if (this.config.algorithm === 'sliding-window') {
+      const index = this.timestamps.lastIndexOf(sendAt);
+      if (index !== -1) {
+        this.timestamps.splice(index, 1);
+      }
+    } else {
+      this.tokens = Math.min(this.tokens + 1, this.config.limit);
+    }
+  }
+
+  refill(now = Date.now()) {
+    const { limit, interval } = this.config;
+    if (now <= this.lastRefill) {
+      return;
+    }
+    this.tokens = Math.min(limit, this.tokens + ((now - this.lastRefill) / interval) * limit);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a slot; rejects with RateLimitExceededError if the wait would exceed maxWait
+   */
+  async acquire(signal, maxWait = this.config.maxWait) {
+    signal?.throwIfAborted();
+
+    const reservation = this.reserve();
+    if (reservation.wait > maxWait) {
+      this.cancel(reservation);
+      throw new RateLimitExceededError(`Rate limit wait of ${reservation.wait}ms exceeds ${maxWait}ms`, reservation.wait);
+    }
+
+    if (reservation.wait > 0) {
+      try {
+        await abortableSleep(reservation.wait, signal);
+      } catch (error) {
+        this.cancel(reservation);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Adapt to the server's view of the quota from response headers
+   */
+  updateFromHeaders(headers, status, now = Date.now()) {
+    if (!this.config.adaptive) {
+      return;
+    }
+
+    const { remaining, reset } = parseRateLimitHeaders(headers, now);
+    if (remaining === 0 && reset !== null) {
+      this.blockedUntil = Math.max(this.blockedUntil, now + reset);
+    } else if (remaining !== null && this.config.algorithm !== 'sliding-window') {
+      this.refill(now);
+      this.tokens = Math.min(this.tokens, remaining);
+    }
+
+    if (status === 429) {
+      const retryAfter = parseRetryAfter(headers, now);
+      if (retryAfter !== null) {
+        this.blockedUntil = Math.max(this.blockedUntil, now + retryAfter);
+      }
+    }
+  }
+
+  getState(now = Date.now()) {
+    if (this.config.algorithm !== 'sliding-window') {
+      this.refill(now);
+    }
+    return {
+      algorithm: this.config.algorithm,
+      limit: this.config.limit,
+      interval: this.config.interval,
+      available: this.config.algorithm === 'sliding-window'
+        ? this.config.limit - this.timestamps.filter(time => time > now - this.config.interval).length
+        : Math.floor(Math.max(0, this.tokens)),
+      blockedUntil: this.blockedUntil > now ? this.blockedUntil : null,
+    };
+  }
+}
+
+/**
+ * Custom error for calls that would wait longer than the rate limiter's maxWait
+ */
+class RateLimitExceededError extends Error {
+  constructor(message, wait) {
+    super(message);
+    this.name = 'RateLimitExceededError';
+    this.wait = wait;  // ms the call would have had to wait
+  }
+}
+
+/**
+ * Custom error for calls rejected by a full or slow bulkhead queue
+ */
+class BulkheadRejectedError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'BulkheadRejectedError';
+    this.reason = reason;  // queue-full, queue-timeout
+  }
+}
+
+/**
+ * Custom error for circuit breaker open state
+ */
+class CircuitBreakerOpenError extends Error {
+  constructor(message, remainingTime = 0) {
+    super(message);
+    this.name = 'CircuitBreakerOpenError';
+    this.remainingTime = remainingTime;  // ms until trial calls are allowed again
+  }
+}
+
+/**
+ * Custom error for an exhausted overall request deadline (totalTimeout)
+ */
+class DeadlineExceededError extends Error {
+  constructor(message, totalTimeout, lastError = null) {
+    super(message);
+    this.name = 'DeadlineExceededError';
+    this.totalTimeout = totalTimeout;
+    this.lastError = lastError;  // Error from the last attempt, if any
+  }
+}
+
+/**
+ * Whether a DeadlineExceededError came before any attempt was sent
+ */
+function isUnsentDeadline(error) {
+  return error?.name === 'DeadlineExceededError' && error.lastError === null;
+}
+
+/**
+ * Custom error for a timed out request, tagged with the phase that timed out
+ */
+class TimeoutError extends Error {
+  constructor(message, phase, timeout, elapsed = timeout) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.phase = phase;      // connect, headers, body
+    this.timeout = timeout;
+    this.elapsed = elapsed;  // ms spent in the phase before giving up
+  }
+}
+
+/**
+ * Custom error for a non-2xx response, carrying the response details
+ */
+class HttpError extends Error {
+  constructor(message, { status, statusText, headers, body = null, bodyTruncated = false, method, url, response }) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.statusText = statusText;
+    this.headers = headers;
+    this.body = body;                    // Parsed JSON, text, or null if it could not be read
+    this.bodyTruncated = bodyTruncated;  // True when the body was longer than errorBodyLimit
+    this.method = method;
+    this.url = url;
+    this.response = response;            // Readable copy of the (possibly truncated) response
+  }
+}
+
+/**
+ * Custom error for a 2xx response whose body could not be parsed or failed its validator
+ */
+class ResponseValidationError extends Error {
+  constructor(message, { status, headers, method, url, data, issues = null, cause }) {
+    super(message, { cause });
+    this.name = 'ResponseValidationError';
+    this.status = status;
+    this.headers = headers;
+    this.method = method;
+    this.url = url;
+    this.data = data;      // Parsed body (text when it was not valid JSON)
+    this.issues = issues;  // Validator details (zod issues, Joi details, Ajv errors...), if any
+  }
+}
+
+/**
+ * Custom error for a request that failed on every allowed attempt
+ */
+class RetriesExhaustedError extends Error {
+  constructor(message, history, lastError) {
+    super(message, { cause: lastError });
+    this.name = 'RetriesExhaustedError';
+    this.history = history;        // [{ attempt, error, duration, delay }] per failed attempt
+    this.attempts = history.length;
+    this.lastError = lastError;
+    this.status = lastError?.status;
+  }
+}
+
+function fibonacci(n) {
+  let [a, b] = [0, 1];
+  for (let i = 0; i < n; i++) {
+    [a, b] = [b, a + b];
+  }
+  return a;
+}
+
+/**
+ * Built-in backoff strategies: (attempt, baseDelay, { lastDelay, random }) => ms
+ * `attempt` is zero-based; results are capped at maxDelay by calculateDelay.
+ */
+const BACKOFF_STRATEGIES = {
+  'exponential': (attempt, baseDelay) => baseDelay * Math.pow(2, attempt),
+  // Random value between 0 and the exponential delay, capped at maxDelay before the jitter
+  // so late attempts stay spread out instead of all landing on maxDelay
+  'full-jitter': (attempt, baseDelay, { random, maxDelay }) => random() * Math.min(baseDelay * Math.pow(2, attempt), maxDelay),
+  // Half the capped exponential delay, plus a random share of the other half
+  'equal-jitter': (attempt, baseDelay, { random, maxDelay }) => {
+    const half = Math.min(baseDelay * Math.pow(2, attempt), maxDelay) / 2;
+    return half + random() * half;
+  },
+  // Random value between baseDelay and three times the previous delay
+  'decorrelated-jitter': (attempt, baseDelay, { lastDelay, random }) => {
+    return baseDelay + random() * (Math.max(lastDelay, baseDelay) * 3 - baseDelay);
+  },
+  'constant': (attempt, baseDelay) => baseDelay,
+  'linear': (attempt, baseDelay) => baseDelay * (attempt + 1),
+  'fibonacci': (attempt, baseDelay) => baseDelay * fibonacci(attempt + 1),
+};
+
+/**
+ * Calculate backoff delay for a zero-based retry attempt.
+ * `strategy` is a BACKOFF_STRATEGIES name, a custom (attempt, lastDelay, error) => ms
+ * function, or a boolean for the legacy jitter flag (true = full jitter).
+ */
+function calculateDelay(attempt, baseDelay, maxDelay, strategy = 'full-jitter', context = {}) {
+  const { lastDelay = baseDelay, error = null, random = Math.random } = context;
+
+  if (typeof strategy === 'boolean') {
+    strategy = strategy ? 'full-jitter' : 'exponential';
+  }
+
+  let delay;
+  if (typeof strategy === 'function') {
+    delay = strategy(attempt, lastDelay, error);
+  } else if (BACKOFF_STRATEGIES[strategy]) {
+    delay = BACKOFF_STRATEGIES[strategy](attempt, baseDelay, { lastDelay, random, maxDelay });
+  } else {
+    throw new Error(`Unknown backoff strategy: ${strategy}`);
+  }
+
+  return Math.floor(Math.min(Math.max(0, delay), maxDelay));
+}
+
+/**
+ * Resolve the backoff strategy, mapping the legacy `jitter` flag when no strategy is set
+ */
+function resolveBackoff({ backoff, jitter }, fallback) {
+  if (backoff !== undefined && backoff !== null) {
+    return backoff;
+  }
+  if (jitter !== undefined) {
+    return jitter ? 'full-jitter' : 'exponential';
+  }
+  return fallback;
+}
+
+/**
+ * Resolve the paramsSerializer setting: a function replaces the serializer,
+ * an object is merged over the current format options
+ */
+function resolveParamsSerializer(paramsSerializer, fallback) {
+  if (paramsSerializer === undefined || paramsSerializer === null) {
+    return fallback;
+  }
+  if (typeof paramsSerializer === 'function' || typeof fallback === 'function') {
+    return paramsSerializer;
+  }
+  return { ...fallback, ...paramsSerializer };
+}
+
+/**
+ * Create a seeded random number generator (mulberry32) returning values in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parse the server-requested retry delay from response headers.
+ * Supports `Retry-After` (delta-seconds or HTTP-date) and `RateLimit-Reset`
+ * (delta-seconds, or epoch seconds as sent by some APIs).
+ * Returns the delay in ms, or null if no usable header is present.
+ */
+function parseRetryAfter(headers, now = Date.now()) {
+  if (!headers || typeof headers.get !== 'function') {
+    return null;
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter !== null) {
+    const value = retryAfter.trim();
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      return Math.ceil(parseFloat(value) * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  return parseResetSeconds(headers.get('ratelimit-reset'), now);
+}
+
+/**
+ * Parse a rate-limit reset header value (delta-seconds, or epoch seconds) into ms from now
+ */
+function parseResetSeconds(value, now = Date.now()) {
+  if (value === null || value === undefined || !/^\d+(\.\d+)?$/.test(value.trim())) {
+    return null;
+  }
+
+  const seconds = parseFloat(value.trim());
+  // Values this large can only be a Unix timestamp, not a delta
+  if (seconds > 1e9) {
+    return Math.max(0, Math.ceil(seconds * 1000 - now));
+  }
+  return Math.ceil(seconds * 1000);
+}
+
+/**
+ * Read quota headers (`RateLimit-*` or `X-RateLimit-*`) from a response.
+ * Returns { remaining, reset } with reset in ms from now; missing values are null.
+ */
+function parseRateLimitHeaders(headers, now = Date.now()) {
+  if (!headers || typeof headers.get !== 'function') {
+    return { remaining: null, reset: null };
+  }
+
+  const remaining = headers.get('ratelimit-remaining') ?? headers.get('x-ratelimit-remaining');
+  const reset = headers.get('ratelimit-reset') ?? headers.get('x-ratelimit-reset');
+  const parsedRemaining = remaining !== null && /^\d+$/.test(remaining.trim()) ? parseInt(remaining, 10) : null;
+
+  return { remaining: parsedRemaining, reset: parseResetSeconds(reset, now) };
+}
+
+/**
+ * Resolve the retry policy for a method from the instance policy map and a per-call
+ * override, which may be a policy name or a partial map
+ */
+function resolveRetryPolicy(method = 'GET', retryPolicy = {}, callPolicy) {
+  if (typeof callPolicy === 'string') {
+    return callPolicy;
+  }
+
+  const policies = { ...retryPolicy, ...callPolicy };
+  return policies[method.toUpperCase()] ?? 'always';
+}
+
+/**
+ * Apply the method's retry policy to a request: attach a generated Idempotency-Key
+ * when enabled, and report whether failed attempts may be retried
+ */
+function applyIdempotency(options, config) {
+  const { retryPolicy, autoIdempotencyKey, idempotencyKeyHeader } = config;
+  const policy = resolveRetryPolicy(options.method, retryPolicy, options.retryPolicy);
+
+  if (policy !== 'idempotency-key') {
+    return { options, canRetry: policy !== 'never' };
+  }
+
+  const headers = new Headers(options.headers);
+  if (!headers.has(idempotencyKeyHeader) && autoIdempotencyKey) {
+    const key = typeof autoIdempotencyKey === 'function' ? autoIdempotencyKey() : randomUUID();
+    headers.set(idempotencyKeyHeader, key);
+    return { options: { ...options, headers }, canRetry: true };
+  }
+
+  return { options, canRetry: headers.has(idempotencyKeyHeader) };
+}
+
+/**
+ * Whether a status matches a list of codes (numbers or strings) and ranges like '5xx'
+ */
+function matchesStatus(status, patterns) {
+  return patterns.some(pattern => {
+    if (typeof pattern === 'string' && /^[1-5]xx$/i.test(pattern)) {
+      return Math.floor(status / 100) === Number(pattern[0]);
+    }
+    return Number(pattern) === status;
+  });
+}
+
+/**
+ * Decide whether to retry: a shouldRetry(ctx) result of true/false or a delay in ms wins,
+ * otherwise (undefined) the retryable status and error lists decide.
+ * Returns a boolean, or the explicit delay.
+ */
+async function resolveRetryDecision(shouldRetry, context, { retryableStatuses, retryableErrors }) {
+  const decision = shouldRetry ? await shouldRetry(context) : undefined;
+  if (decision === undefined || decision === null) {
+    return context.error ? isRetryableError(context.error, retryableStatuses, retryableErrors) : false;
+  }
+  if (typeof decision === 'number') {
+    return Math.max(0, decision);
+  }
+  return Boolean(decision);
+}
+
+/**
+ * Check if error is retryable
+ */
+function isRetryableError(error, retryableStatuses, retryableErrors) {
+  // Check status code
+  if (error.status && matchesStatus(error.status, retryableStatuses)) {
+    return true;
+  }
+
+  // Check error code (for network errors)
+  if (error.code && retryableErrors.includes(error.code)) {
+    return true;
+  }
+
+  // Check for timeout
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return true;
+  }
+
+  // Only reaches the retry loop when retryOnInvalid is set
+  if (error.name === 'ResponseValidationError') {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Read at most `limit` bytes of a response body, cancelling the rest
+ */
+async function readLimitedBody(response, limit) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    size += value.byteLength;
+    if (size > limit) {
+      truncated = true;
+      reader.cancel().catch(() => {});
+      break;
+    }
+  }
+
+  const bytes = new Uint8Array(Math.min(size, limit));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const part = chunk.subarray(0, bytes.byteLength - offset);
+    bytes.set(part, offset);
+    offset += part.byteLength;
+  }
+  return { bytes, truncated };
+}
+
+/**
+ * Build an HttpError for a non-2xx response, keeping up to `limit` bytes of its body
+ */
+async function createHttpError(response, { method, url, limit }) {
+  let body = null;
+  let bodyTruncated = false;
+  let readable = response;
+
+  if (response.body && limit > 0) {
+    try {
+      const { bytes, truncated } = await readLimitedBody(response, limit);
+      const text = new TextDecoder().decode(bytes);
+      bodyTruncated = truncated;
+      body = text;
+      if (!truncated && /[/+]json\b/.test(response.headers.get('content-type') ?? '')) {
+        try {
+          body = JSON.parse(text);
+        } catch {
+          // Keep the raw text of a malformed JSON body
+        }
+      }
+      readable = rebuildResponse(response, bytes);
+    } catch {
+      // The body could not be read (e.g. the connection dropped); report without it
+    }
+  }
+
+  return new HttpError(`HTTP ${response.status}: ${response.statusText}`, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    body,
+    bodyTruncated,
+    method: (method ?? 'GET').toUpperCase(),
+    url: response.url || (typeof url === 'object' && url.url ? url.url : String(url)),
+    response: readable,
+  });
+}
+
+// undici Agents used to enforce connectTimeout, keyed by timeout value
+const connectDispatchers = new Map();
+
+/**
+ * Get a fetch dispatcher that limits connection setup to connectTimeout ms.
+ * Node's fetch does not expose the connect phase, so this needs the optional undici package.
+ */
+async function getConnectDispatcher(connectTimeout) {
+  if (!connectDispatchers.has(connectTimeout)) {
+    let Agent;
+    try {
+      ({ Agent } = await import('undici'));
+    } catch {
+      throw new Error('connectTimeout requires the optional "undici" package: npm install undici');
+    }
+    connectDispatchers.set(connectTimeout, new Agent({ connect: { timeout: connectTimeout } }));
+  }
+  return connectDispatchers.get(connectTimeout);
+}
+
+/**
+ * Copy a response with a replacement body, keeping status, headers and url
+ */
+function rebuildResponse(response, body) {
+  const rebuilt = new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+  Object.defineProperty(rebuilt, 'url', { value: response.url });
+  Object.defineProperty(rebuilt, 'redirected', { value: response.redirected });
+  return rebuilt;
+}
+
+/**
+ * Wrap a response body so reads fail with a body TimeoutError when the whole body
+ * takes longer than bodyTimeout, or no chunk arrives for bodyIdleTimeout while reading
+ */
+function withBodyTimeouts(response, { bodyTimeout, bodyIdleTimeout }, onTimeout) {
+  if (!response.body || (!bodyTimeout && !bodyIdleTimeout)) {
+    return response;
+  }
+
+  const reader = response.body.getReader();
+  let totalTimer = null;
+  let idleTimer = null;
+  let timedOut = false;
+  const startTime = Date.now();
+
+  let streamController;
+
+  const clearTimers = () => {
+    clearTimeout(totalTimer);
+    clearTimeout(idleTimer);
+  };
+
+  const fail = (message, timeout) => {
+    timedOut = true;
+    clearTimers();
+    const error = new TimeoutError(message, 'body', timeout, Date.now() - startTime);
+    streamController.error(error);
+    reader.cancel(error).catch(() => {});
+    onTimeout(error);
+  };
+
+  const body = new ReadableStream({
+    start(controller) {
+      streamController = controller;
+      if (bodyTimeout) {
+        totalTimer = setTimeout(() => fail(`Response body timeout after ${bodyTimeout}ms`, bodyTimeout), bodyTimeout);
+      }
+    },
+
+    async pull(controller) {
+      // The idle timer only runs while we are waiting on the network for a chunk
+      if (bodyIdleTimeout) {
+        idleTimer = setTimeout(() => fail(`Response body idle for ${bodyIdleTimeout}ms`, bodyIdleTimeout), bodyIdleTimeout);
+      }
+
+      try {
+        const { done, value } = await reader.read();
+        clearTimeout(idleTimer);
+        if (timedOut) {
+          return;
+        }
+        if (done) {
+          clearTimers();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        clearTimers();
+        if (!timedOut) {
+          controller.error(error);
+        }
+      }
+    },
+
+    cancel(reason) {
+      clearTimers();
+      return reader.cancel(reason);
+    },
+  });
+
+  return rebuildResponse(response, body);
+}
+
+// Request body types for bodyType; 'auto' picks one from the data
+const BODY_TYPES = ['auto', 'json', 'form', 'multipart', 'text', 'binary', 'raw'];
+
+/**
+ * Whether a request body is a stream: a web ReadableStream, a Node stream or another async iterable
+ */
+function isStreamBody(value) {
+  return value !== null && typeof value === 'object' && typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Key/value pairs of form data, expanding arrays and skipping undefined values
+ */
+function formEntries(data) {
+  const entries = data instanceof Map ? [...data] : Object.entries(data ?? {});
+  return entries.flatMap(([key, value]) => (Array.isArray(value) ? value : [value])
+    .filter(item => item !== undefined)
+    .map(item => [key, item]));
+}
+
+/**
+ * Build FormData from an object; Blob and File values become file parts
+ */
+function toFormData(data) {
+  const form = new FormData();
+  for (const [key, value] of formEntries(data)) {
+    if (value instanceof Blob) {
+      form.append(key, value, value.name);
+    } else {
+      form.append(key, String(value));
+    }
+  }
+  return form;
+}
+
+/**
+ * Serialize request data for fetch, by bodyType or, with 'auto', by the data's type.
+ * Returns { body, contentType }; contentType is null when fetch sets it (strings,
+ * URLSearchParams, FormData with its multipart boundary, typed Blobs) or for 'raw'.
+ */
+function serializeBody(data, bodyType = 'auto') {
+  switch (bodyType) {
+  case 'auto':
+    if (data === undefined || data === null) {
+      return { body: undefined, contentType: null };
+    }
+    if (typeof data === 'string' || data instanceof URLSearchParams || data instanceof FormData || data instanceof Blob) {
+      return { body: data, contentType: null };
+    }
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data) || isStreamBody(data)) {
+      return { body: data, contentType: 'application/octet-stream' };
+    }
+    return { body: JSON.stringify(data), contentType: 'application/json' };
+  case 'json':
+    return { body: JSON.stringify(data), contentType: 'application/json' };
+  case 'form':
+    return { body: data instanceof URLSearchParams ? data : new URLSearchParams(formEntries(data)), contentType: null };
+  case 'multipart':
+    return { body: data instanceof FormData ? data : toFormData(data), contentType: null };
+  case 'text':
+    return { body: String(data), contentType: 'text/plain; charset=utf-8' };
+  case 'binary':
+    return { body: data, contentType: 'application/octet-stream' };
+  case 'raw':
+    return { body: data, contentType: null };
+  default:
+    throw new TypeError(`Unknown bodyType "${bodyType}", expected one of: ${BODY_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Set a header unless the caller already did, keeping plain-object headers plain
+ */
+function withDefaultHeader(headers, name, value) {
+  if (!value || new Headers(headers).has(name)) {
+    return headers;
+  }
+  if (headers instanceof Headers || Array.isArray(headers)) {
+    const merged = new Headers(headers);
+    merged.set(name, value);
+    return merged;
+  }
+  return { [name]: value, ...headers };
+}
+
+/**
+ * Set the Content-Type a serialized body implies, or else the instance default. A header the
+ * caller set wins over both; FormData, URLSearchParams and typed Blobs leave it to fetch.
+ */
+function withContentType(headers, body, contentType, defaultContentType) {
+  const fetchSetsType = body instanceof FormData || body instanceof URLSearchParams || (body instanceof Blob && body.type !== '');
+  return withDefaultHeader(headers, 'Content-Type', contentType ?? (fetchSetsType ? null : defaultContentType));
+}
+
+/**
+ * Bytes of one stream chunk
+ */
+function toBytes(chunk) {
+  if (typeof chunk === 'string') {
+    return new TextEncoder().encode(chunk);
+  }
+  if (chunk instanceof ArrayBuffer) {
+    return new Uint8Array(chunk);
+  }
+  return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
+
+/**
+ * Read a streamed request body into memory so retries can send it again.
+ * Returns { body, replayable }. Past `limit` bytes the body is streamed once instead,
+ * with the chunks already read put back in front of the rest.
+ */
+async function bufferRequestBody(stream, limit) {
+  if (!limit) {
+    return { body: stream, replayable: false };
+  }
+
+  const iterator = stream[Symbol.asyncIterator]();
+  const chunks = [];
+  let size = 0;
+  while (size <= limit) {
+    const { done, value } = await iterator.next();
+    if (done) {
+      return { body: Buffer.concat(chunks, size), replayable: true };
+    }
+    const chunk = toBytes(value);
+    chunks.push(chunk);
+    size += chunk.byteLength;
+  }
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      if (chunks.length > 0) {
+        controller.enqueue(chunks.shift());
+        return;
+      }
+      const { done, value } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(toBytes(value));
+      }
+    },
+
+    async cancel(reason) {
+      await iterator.return?.(reason);
+    },
+  });
+  return { body, replayable: false };
+}
+
+/**
+ * Serialize options.body once per logical request. Body factories (functions) are left
+ * for resolveBodyFactory to call on every send. Streams are buffered up to `replayLimit`
+ * bytes; a larger stream can only be sent once, so retries and hedging are turned off.
+ * `defaultContentType` is the instance's, used when the body implies none.
+ */
+async function prepareRequestBody(options, replayLimit, defaultContentType) {
+  const { body: data, bodyType = 'auto' } = options;
+  if (typeof data === 'function' || ((data === undefined || data === null) && bodyType === 'auto')) {
+    return options;
+  }
+
+  const { body, contentType } = serializeBody(data, bodyType);
+  const prepared = { ...options, body, headers: withContentType(options.headers, body, contentType, defaultContentType) };
+  if (!isStreamBody(body)) {
+    return prepared;
+  }
+
+  const buffered = await bufferRequestBody(body, replayLimit);
+  if (buffered.replayable) {
+    return { ...prepared, body: buffered.body };
+  }
+  return { ...prepared, body: buffered.body, duplex: 'half', maxRetries: 0, hedge: false };
+}
+
+/**
+ * Call a body factory for one send and serialize what it returns
+ */
+async function resolveBodyFactory(options, defaultContentType) {
+  if (typeof options.body !== 'function') {
+    return options;
+  }
+
+  const { body, contentType } = serializeBody(await options.body(), options.bodyType);
+  return {
+    ...options,
+    body,
+    headers: withContentType(options.headers, body, contentType, defaultContentType),
+    ...(isStreamBody(body) && { duplex: 'half' }),
+  };
+}
+
+const ARRAY_FORMATS = ['repeat', 'brackets', 'indices', 'comma'];
+
+/**
+ * Serialize query params to a query string. Arrays follow `arrayFormat`, nested objects
+ * `nestedFormat`, Dates become ISO strings and null/undefined values are left out.
+ */
+function serializeParams(params, { arrayFormat = 'repeat', nestedFormat = 'brackets' } = {}) {
+  if (!ARRAY_FORMATS.includes(arrayFormat)) {
+    throw new TypeError(`Unknown arrayFormat "${arrayFormat}", expected one of: ${ARRAY_FORMATS.join(', ')}`);
+  }
+
+  const search = new URLSearchParams();
+  const format = value => (value instanceof Date ? value.toISOString() : String(value));
+  const add = (key, value) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (Array.isArray(value)) {
+      if (arrayFormat === 'comma') {
+        search.append(key, value.filter(item => item !== undefined && item !== null).map(format).join(','));
+        return;
+      }
+      value.forEach((item, index) => {
+        add({ repeat: key, brackets: `${key}[]`, indices: `${key}[${index}]` }[arrayFormat], item);
+      });
+      return;
+    }
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      for (const [name, item] of Object.entries(value)) {
+        add(nestedFormat === 'dots' ? `${key}.${name}` : `${key}[${name}]`, item);
+      }
+      return;
+    }
+    search.append(key, format(value));
+  };
+
+  for (const [key, value] of Object.entries(params ?? {})) {
+    add(key, value);
+  }
+  return search.toString();
+}
+
+/**
+ * Resolve a request URL against baseURL and append a query string. Relative URLs are
+ * appended to baseURL's path ('users' and '/users' both go under '/v1/'); absolute URLs
+ * are left alone.
+ */
+function buildURL(url, baseURL, query) {
+  const isAbsolute = /^[a-z][a-z\d+\-.]*:/i.test(String(url));
+  if ((isAbsolute || !baseURL) && !query) {
+    return url;
+  }
+
+  let full = String(url);
+  if (!isAbsolute && baseURL) {
+    full = full ? `${String(baseURL).replace(/\/+$/, '')}/${full.replace(/^\/+/, '')}` : String(baseURL);
+  }
+  if (query) {
+    const [withoutHash, ...hash] = full.split('#');
+    full = `${withoutHash}${withoutHash.includes('?') ? '&' : '?'}${query}${hash.length > 0 ? `#${hash.join('#')}` : ''}`;
+  }
+  return full;
+}
+
+/**
+ * Layer headers over default headers (case-insensitively), keeping the input when there are no defaults
+ */
+function mergeHeaders(defaults, headers) {
+  const base = new Headers(defaults ?? undefined);
+  if ([...base.keys()].length === 0) {
+    return headers;
+  }
+  new Headers(headers ?? undefined).forEach((value, name) => base.set(name, value));
+  return Object.fromEntries(base);
+}
+
+/**
+ * Whether a value can be used as a validator
+ */
+function isValidator(validator) {
+  return typeof validator === 'function'
+    || typeof validator?.parse === 'function'
+    || typeof validator?.validate === 'function';
+}
+
+/**
+ * Run a validator: a function, or an object with parse() (e.g. zod) or validate() (e.g. Joi, yup).
+ * Returns the validated, possibly transformed, value. Throws when the data is invalid;
+ * a plain `false` result throws the validator's `errors` (as Ajv sets them).
+ */
+async function runValidator(validator, data) {
+  let result;
+  if (typeof validator === 'function') {
+    result = await validator(data);
+  } else if (typeof validator.parse === 'function') {
+    return validator.parse(data);
+  } else {
+    result = await validator.validate(data);
+    // Joi style: { value, error }
+    if (result !== null && typeof result === 'object' && 'error' in result && 'value' in result) {
+      if (result.error) {
+        throw result.error;
+      }
+      return result.value;
+    }
+  }
+
+  if (result === false) {
+    throw Object.assign(new Error('Validator rejected the response body'), { issues: validator.errors ?? null });
+  }
+  return result === true || result === undefined ? data : result;
+}
+
+/**
+ * Parse a response body by content type (JSON for JSON types and untyped bodies that parse,
+ * text otherwise, null when empty), then check it with an optional validator.
+ * Throws ResponseValidationError for malformed JSON or invalid data.
+ */
+async function readValidatedBody(response, validator, { method, url }) {
+  const text = await response.text();
+  const type = response.headers.get('content-type') ?? '';
+  const details = { status: response.status, headers: response.headers, method, url: response.url || String(url) };
+
+  let data = text || null;
+  if (text && (!type || /[/+]json\b/.test(type))) {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // An untyped body that isn't JSON stays text
+      if (type) {
+        throw new ResponseValidationError(`Invalid JSON in response body: ${error.message}`, { ...details, data: text, cause: error });
+      }
+    }
+  }
+
+  if (!validator) {
+    return data;
+  }
+  try {
+    return await runValidator(validator, data);
+  } catch (error) {
+    const issues = error.issues ?? error.details ?? error.errors ?? null;
+    throw new ResponseValidationError(`Response body failed validation: ${error.message}`, {
+      ...details, data, issues, cause: error,
+    });
+  }
+}
+
+/**
+ * Fetch with timeout.
+ * `timeout` limits the wait for response headers; `phases` may add connectTimeout,
+ * bodyTimeout (whole body) and bodyIdleTimeout (gap between body chunks), and
+ * errorBodyLimit for how much of an error body to keep on the HttpError.
+ */
+async function fetchWithTimeout(url, options = {}, timeout, phases = {}) {
+  const { connectTimeout, bodyTimeout, bodyIdleTimeout, errorBodyLimit = DEFAULT_CONFIG.errorBodyLimit } = phases;
+  const callerSignal = options.signal;
+  callerSignal?.throwIfAborted();
+
+  const dispatcher = connectTimeout && !options.dispatcher
+    ? await getConnectDispatcher(connectTimeout)
+    : options.dispatcher;
+
+  const startTime = Date.now();
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  // Forward the caller's cancellation to the in-flight request
+  const onCallerAbort = () => controller.abort(callerSignal.reason);
+  callerSignal?.addEventListener('abort', onCallerAbort, { once: true });
+
+  try {
+    const response = await fetch(url, {
+      ...options,
+      ...(dispatcher && { dispatcher }),
+      signal: controller.signal,
+    });
+
+    // Handle HTTP errors (a 304 answers a conditional request, it is not a failure).
+    // The timeout keeps running while the error body is read.
+    if (!response.ok && response.status !== 304) {
+      throw await createHttpError(response, { method: options.method, url, limit: errorBodyLimit });
+    }
+
+    clearTimeout(timeoutId);
+
+    // Abort the underlying request too, so a stalled body releases its socket
+    return withBodyTimeouts(response, { bodyTimeout, bodyIdleTimeout }, error => controller.abort(error));
+  } catch (error) {
+    clearTimeout(timeoutId);
+
+    if (callerSignal?.aborted) {
+      throw callerSignal.reason;
+    }
+
+    if (error.name === 'AbortError') {
+      throw new TimeoutError(`Request timeout after ${timeout}ms`, 'headers', timeout, Date.now() - startTime);
+    }
+
+    if (error.cause?.code === 'UND_ERR_CONNECT_TIMEOUT') {
+      throw new TimeoutError(`Connect timeout after ${connectTimeout}ms`, 'connect', connectTimeout, Date.now() - startTime);
+    }
+
+    throw error;
+  } finally {
+    callerSignal?.removeEventListener('abort', onCallerAbort);
+  }
+}
+
+/**
+ * Bounded record of recent latencies (ms) for percentile lookups
+ */
+class LatencyTracker {
+  constructor(size = 100) {
+    this.size = size;
+    this.samples = [];
+  }
+
+  record(latency) {
+    this.samples.push(latency);
+    if (this.samples.length > this.size) {
+      this.samples.shift();
+    }
+  }
+
+  percentile(p) {
+    if (this.samples.length === 0) {
+      return null;
+    }
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+  }
+}
+
+/**
+ * Run `send(signal)` and, while it is still pending after `delay` ms, start up to
+ * `maxHedges` identical requests in parallel. The first success wins and the others
+ * are aborted; rejects with the last error once every started request has failed.
+ */
+function hedgedFetch(send, { delay, maxHedges, signal, canHedge = () => true, onHedge }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const controllers = [];
+    let pending = 0;
+    let timer = null;
+    let settled = false;
+
+    const onCallerAbort = () => controllers.forEach(controller => controller.abort(signal.reason));
+    signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+    const settle = () => {
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onCallerAbort);
+    };
+
+    const launch = () => {
+      const controller = new AbortController();
+      const hedge = controllers.length;
+      controllers.push(controller);
+      pending++;
+
+      if (hedge > 0) {
+        onHedge?.(hedge, delay);
+      }
+      if (hedge < maxHedges) {
+        timer = setTimeout(() => {
+          if (!settled && canHedge()) {
+            launch();
+          }
+        }, delay);
+      }
+
+      send(controller.signal, hedge).then((response) => {
+        pending--;
+        if (settled) {
+          response.body?.cancel().catch(() => {});
+          return;
+        }
+        settle();
+        controllers.forEach(other => other !== controller && other.abort());
+        resolve(response);
+      }, (error) => {
+        pending--;
+        if (!settled && pending === 0) {
+          settle();
+          reject(error);
+        }
+      });
+    };
+
+    launch();
+  });
+}
+
+/**
+ * Run `next(context)` through a middleware chain. `beforeRequest(context)` hooks run in
+ * order and may change `context.url` / `context.options` (or return a partial context);
+ * `afterResponse(response, context)` and `onError(error, context)` run in reverse order.
+ * A hook that returns a value replaces the response (onError: recovers with it), and a
+ * hook that throws turns the outcome into that error.
+ */
+async function runMiddleware(middleware, context, next) {
+  for (const m of middleware) {
+    const update = await m.beforeRequest?.(context);
+    if (update) {
+      Object.assign(context, update);
+    }
+  }
+
+  let response;
+  let error = null;
+  try {
+    response = await next(context);
+  } catch (err) {
+    error = err;
+  }
+
+  for (const m of [...middleware].reverse()) {
+    try {
+      if (error) {
+        const recovered = await m.onError?.(error, context);
+        if (recovered !== undefined) {
+          response = recovered;
+          error = null;
+        }
+      } else {
+        const replaced = await m.afterResponse?.(response, context);
+        if (replaced !== undefined) {
+          response = replaced;
+        }
+      }
+    } catch (err) {
+      error = err;
+    }
+  }
+
+  if (error) {
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Sleep that rejects with the caller's abort reason when the signal fires
+ */
+async function abortableSleep(delay, signal) {
+  try {
+    await sleep(delay, undefined, { signal });
+  } catch (error) {
+    throw signal?.aborted ? signal.reason : error;
+  }
+}
+
+/**
+ * Parse a Cache-Control header into a map of lowercase directives
+ */
+function parseCacheControl(value) {
+  const directives = {};
+  for (const part of (value ?? '').split(',')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name) {
+      directives[name.toLowerCase()] = rest.length > 0 ? rest.join('=').replace(/^"|"$/g, '') : true;
+    }
+  }
+  return directives;
+}
+
+/**
+ * How long a response stays fresh (ms), from max-age or Expires; 0 means revalidate every time
+ */
+function getFreshnessLifetime(headers, now = Date.now()) {
+  const directives = parseCacheControl(headers.get('cache-control'));
+  if (directives['no-cache']) {
+    return 0;
+  }
+
+  const age = (parseInt(headers.get('age'), 10) || 0) * 1000;
+  if (directives['max-age'] !== undefined) {
+    const maxAge = parseInt(directives['max-age'], 10);
+    return Number.isNaN(maxAge) ? 0 : Math.max(0, maxAge * 1000 - age);
+  }
+
+  const expires = Date.parse(headers.get('expires'));
+  return Number.isNaN(expires) ? 0 : Math.max(0, expires - now);
+}
+
+/**
+ * Whether a response may be stored: a 200 without no-store that is either fresh for a while
+ * or carries a validator to revalidate with
+ */
+function isCacheable(response) {
+  const { headers } = response;
+  if (response.status !== 200 || parseCacheControl(headers.get('cache-control'))['no-store']) {
+    return false;
+  }
+  if (headers.get('vary')?.trim() === '*') {
+    return false;
+  }
+  return getFreshnessLifetime(headers) > 0 || headers.has('etag') || headers.has('last-modified');
+}
+
+/**
+ * Build a cache entry; the request header values named by Vary are kept for matching
+ */
+function createCacheEntry(url, response, body, requestHeaders, now = Date.now()) {
+  const vary = {};
+  for (const name of (response.headers.get('vary') ?? '').split(',')) {
+    if (name.trim()) {
+      vary[name.trim().toLowerCase()] = requestHeaders.get(name.trim());
+    }
+  }
+
+  return {
+    url: response.url || url,
+    status: response.status,
+    statusText: response.statusText,
+    headers: [...response.headers],
+    body,
+    vary,
+    storedAt: now,
+    expiresAt: now + getFreshnessLifetime(response.headers, now),
+  };
+}
+
+/**
+ * Whether a cache entry was stored for the same values of the request headers it varies on
+ */
+function matchesVary(entry, requestHeaders) {
+  return Object.entries(entry.vary).every(([name, value]) => requestHeaders.get(name) === value);
+}
+
+/**
+ * Rebuild a normal Response from a cache entry, tagged with how it was served
+ */
+function createCachedResponse(entry, cacheStatus) {
+  const response = new Response(entry.body, {
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: entry.headers,
+  });
+  Object.defineProperty(response, 'url', { value: entry.url });
+  Object.defineProperty(response, 'cacheStatus', { value: cacheStatus });  // 'hit' or 'revalidated'
+  return response;
+}
+
+/**
+ * Clone a response, keeping properties set on it by this module (url, cacheStatus, ...)
+ */
+function cloneResponse(response) {
+  const clone = response.clone();
+  for (const name of Object.getOwnPropertyNames(response)) {
+    Object.defineProperty(clone, name, Object.getOwnPropertyDescriptor(response, name));
+  }
+  return clone;
+}
+
+/**
+ * Settle with the promise, or reject with the signal's reason as soon as it aborts
+ */
+function raceAbort(promise, signal) {
+  signal.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Turn a fallback value into a Response flagged as coming from a fallback.
+ * Strings become text bodies and other values JSON bodies.
+ */
+function createFallbackResponse(value, error) {
+  let response = value;
+  if (!(value instanceof Response)) {
+    const isText = typeof value === 'string';
+    response = new Response(isText ? value : JSON.stringify(value), {
+      headers: { 'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json' },
+    });
+  }
+  Object.defineProperty(response, 'fromFallback', { value: true });
+  Object.defineProperty(response, 'fallbackError', { value: error });  // The failure that was replaced
+  return response;
+}
+
+/**
+ * In-memory LRU cache store, bounded by entry count and total body bytes
+ */
+class MemoryCacheStore {
+  constructor({ maxEntries = 100, maxBytes = 10 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();  // Insertion order doubles as recency order
+    this.bytes = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    await this.delete(key);
+    if (entry.body.byteLength > this.maxBytes) {
+      return;
+    }
+
+    this.entries.set(key, entry);
+    this.bytes += entry.body.byteLength;
+
+    // Evict least recently used entries until both limits hold
+    for (const [oldestKey, oldest] of this.entries) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.entries.delete(oldestKey);
+      this.bytes -= oldest.body.byteLength;
+    }
+  }
+
+  async delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.body.byteLength;
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  getState() {
+    return { entries: this.entries.size, bytes: this.bytes, maxEntries: this.maxEntries, maxBytes: this.maxBytes };
+  }
+}
+
+/**
+ * Cache store keeping one JSON file per entry in a directory, so cached responses
+ * survive between processes (e.g. CLI runs)
+ */
+class FileCacheStore {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  pathFor(key) {
+    return path.join(this.directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    let data;
+    try {
+      data = JSON.parse(await readFile(this.pathFor(key), 'utf-8'));
+    } catch (error) {
+      // Missing or half-written files are just cache misses
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return undefined;
+      }
+      throw error;
+    }
+    if (data.key !== key) {
+      return undefined;
+    }
+    return { ...data.entry, body: Buffer.from(data.entry.body, 'base64') };
+  }
+
+  async set(key, entry) {
+    await mkdir(this.directory, { recursive: true });
+    const file = this.pathFor(key);
+    const body = Buffer.from(entry.body.buffer, entry.body.byteOffset, entry.body.byteLength).toString('base64');
+
+    // Write then rename, so a concurrent reader never sees a partial file
+    const temp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+    await writeFile(temp, JSON.stringify({ key, entry: { ...entry, body } }));
+    await rename(temp, file);
+  }
+
+  async delete(key) {
+    await rm(this.pathFor(key), { force: true });
+  }
+
+  async clear() {
+    await rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+// A span that records nothing, used when no tracer is configured
+const NOOP_SPAN = {
+  setAttribute() {
+    return this;
+  },
+  recordException() {},
+  setStatus() {
+    return this;
+  },
+  end() {},
+  spanContext() {
+    return null;
+  },
+};
+
+const NOOP_TRACER = {
+  startSpan: () => NOOP_SPAN,
+};
+
+// Matches OpenTelemetry's SpanStatusCode.ERROR
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Adapt an OpenTelemetry tracer to the tracer interface used here. `api` is the
+ * `@opentelemetry/api` module, used to link child spans to their parent.
+ */
+function createOpenTelemetryTracer(tracer, api) {
+  return {
+    startSpan(name, { parent, attributes } = {}) {
+      const context = parent ? api.trace.setSpan(api.context.active(), parent) : api.context.active();
+      return tracer.startSpan(name, { kind: api.SpanKind.CLIENT, attributes }, context);
+    },
+  };
+}
+
+/**
+ * Build a W3C `traceparent` header value from a span context, or null if it is invalid
+ */
+function formatTraceparent(spanContext) {
+  const { traceId, spanId, traceFlags = 0 } = spanContext ?? {};
+  if (!/^[0-9a-f]{32}$/.test(traceId) || !/^[0-9a-f]{16}$/.test(spanId) || /^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+    return null;
+  }
+  return `00-${traceId}-${spanId}-${(traceFlags & 0xff).toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Return options with `traceparent` / `tracestate` headers for the span
+ */
+function injectTraceContext(options, span) {
+  const spanContext = span.spanContext();
+  const traceparent = formatTraceparent(spanContext);
+  if (!traceparent) {
+    return options;
+  }
+
+  const headers = new Headers(options.headers);
+  headers.set('traceparent', traceparent);
+  // OpenTelemetry exposes a TraceState object, plain tracers may use a string
+  const { traceState } = spanContext;
+  const tracestate = typeof traceState === 'string' ? traceState : traceState?.serialize?.();
+  if (tracestate) {
+    headers.set('tracestate', tracestate);
+  }
+  return { ...options, headers: Object.fromEntries(headers) };
+}
+
+/**
+ * Mark a span as failed with the error
+ */
+function failSpan(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+  if (error.status) {
+    span.setAttribute('http.response.status_code', error.status);
+  }
+}
+
+// Metric names (without prefix), types and help text for the Prometheus exposition
+const METRICS = {
+  requests_total: ['counter', 'Logical requests by outcome, after retries'],
+  attempts_total: ['counter', 'HTTP attempts by response status (error for network failures)'],
+  retries_total: ['counter', 'Retries scheduled, by reason'],
+  circuit_transitions_total: ['counter', 'Circuit breaker state changes, by breaker key and new state'],
+  attempt_duration_seconds: ['histogram', 'Duration of each HTTP attempt in seconds'],
+};
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Host of a request URL, for metric labels
+ */
+function hostOf(url) {
+  try {
+    return new URL(typeof url === 'object' && url.url ? url.url : String(url)).host;
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Collects per-host counters and latency histograms from HttpWrapper events and renders
+ * them in the Prometheus text exposition format
+ */
+class MetricsCollector {
+  constructor({ prefix = 'http_client', buckets = DEFAULT_BUCKETS } = {}) {
+    this.prefix = prefix;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();  // metric name -> Map(label key -> { labels, value | histogram })
+  }
+
+  /**
+   * Subscribe to a wrapper's events; returns a function that unsubscribes again
+   */
+  attach(wrapper) {
+    const listeners = {
+      'attempt:end': ({ url, method, status, duration }) => {
+        const host = hostOf(url);
+        this.increment('attempts_total', { host, method, status: String(status ?? 'error') });
+        this.observe('attempt_duration_seconds', { host }, duration / 1000);
+      },
+      'retry': ({ url, reason }) => this.increment('retries_total', { host: hostOf(url), reason }),
+      'request:end': ({ url, method }) => this.increment('requests_total', { host: hostOf(url), method, outcome: 'success' }),
+      'request:giveup': ({ url, method }) => this.increment('requests_total', { host: hostOf(url), method, outcome: 'failure' }),
+      'circuit:state': ({ key, to }) => this.increment('circuit_transitions_total', { key, state: to }),
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      wrapper.on(event, listener);
+    }
+    return () => {
+      for (const [event, listener] of Object.entries(listeners)) {
+        wrapper.off(event, listener);
+      }
+    };
+  }
+
+  getSeries(name, labels) {
+    if (!this.series.has(name)) {
+      this.series.set(name, new Map());
+    }
+    const metric = this.series.get(name);
+    const key = JSON.stringify(labels);
+    if (!metric.has(key)) {
+      metric.set(key, { labels, value: 0, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    return metric.get(key);
+  }
+
+  increment(name, labels, value = 1) {
+    this.getSeries(name, labels).value += value;
+  }
+
+  observe(name, labels, value) {
+    const series = this.getSeries(name, labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format (version 0.0.4)
+   */
+  render() {
+    const lines = [];
+    for (const [name, [type, help]] of Object.entries(METRICS)) {
+      const metric = this.series.get(name);
+      if (!metric) {
+        continue;
+      }
+
+      const fullName = `${this.prefix}_${name}`;
+      lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`);
+      for (const { labels, value, counts, sum, count } of metric.values()) {
+        if (type === 'counter') {
+          lines.push(`${fullName}${formatLabels(labels)} ${value}`);
+          continue;
+        }
+        this.buckets.forEach((bound, index) => {
+          lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${fullName}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+      }
+    }
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * Format Prometheus labels, escaping backslashes, quotes and newlines
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    return `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Random source for jitter: seeded when a seed is given, Math.random otherwise
+ */
+function createRandomSource(seed) {
+  return seed === null || seed === undefined ? Math.random : createRandom(seed);
+}
+
+/**
+ * Main HTTP wrapper with retry and circuit breaker.
+ * Emits lifecycle events: 'request:start', 'attempt:start', 'attempt:end', 'retry',
+ * 'request:end', 'request:giveup' and 'circuit:state'.
+ */
+class HttpWrapper extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = {
+      ...DEFAULT_CONFIG,
+      ...config,
+      circuitBreaker: { ...DEFAULT_CONFIG.circuitBreaker, ...config.circuitBreaker },
+      retryPolicy: { ...DEFAULT_CONFIG.retryPolicy, ...config.retryPolicy },
+      retryBudget: { ...DEFAULT_CONFIG.retryBudget, ...config.retryBudget },
+      hedge: { ...DEFAULT_CONFIG.hedge, ...config.hedge },
+      bulkhead: { ...DEFAULT_CONFIG.bulkhead, ...config.bulkhead },
+      rateLimit: { ...DEFAULT_CONFIG.rateLimit, ...config.rateLimit },
+      cache: { ...DEFAULT_CONFIG.cache, ...config.cache },
+      coalesce: { ...DEFAULT_CONFIG.coalesce, ...config.coalesce },
+      paramsSerializer: resolveParamsSerializer(config.paramsSerializer, DEFAULT_CONFIG.paramsSerializer),
+      backoff: resolveBackoff(config, DEFAULT_CONFIG.backoff),
+    };
+    this.random = createRandomSource(this.config.randomSeed);
+    this.circuitBreakers = new CircuitBreakerRegistry(this.config.circuitBreaker, (key, from, to) => {
+      this.emit('circuit:state', { key, from, to });
+    });
+    this.retryBudget = new RetryBudget(this.config.retryBudget);
+    this.latencyTrackers = new Map();
+    this.bulkheads = new Map();
+    this.rateLimiters = new Map();
+    this.cacheStore = this.config.cache.store ?? new MemoryCacheStore(this.config.cache);
+    this.inFlight = new Map();
+    this.lastGoodResponses = new MemoryCacheStore({ maxEntries: 100 });
+    this.middleware = [...(this.config.middleware ?? [])];
+  }
+
+  /**
+   * Register middleware for every request made by this wrapper.
+   * Middleware may define `scope` ('attempt' by default, or 'request'), `beforeRequest`,
+   * `afterResponse` and `onError` hooks; see runMiddleware.
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Execute HTTP request with retry logic and circuit breaker
+   */
+  async request(url, options = {}) {
+    ({ url, options } = this.applyDefaults(url, options));
+    options = await prepareRequestBody(options, options.bodyReplayLimit ?? this.config.bodyReplayLimit, this.defaultContentType());
+    const middleware = [...this.middleware, ...(options.middleware ?? [])];
+    const requestMiddleware = middleware.filter(m => m.scope === 'request');
+    const attemptMiddleware = middleware.filter(m => (m.scope ?? 'attempt') === 'attempt');
+
+    const context = { scope: 'request', url, options, method: (options.method ?? 'GET').toUpperCase() };
+    return runMiddleware(requestMiddleware, context, ({ url, options }) => {
+      const isGet = (options.method ?? 'GET').toUpperCase() === 'GET';
+      const send = (sendOptions) => {
+        if (this.config.cache.enabled && isGet) {
+          return this.cachedRequest(url, sendOptions, attemptMiddleware);
+        }
+        return this.executeRequest(url, sendOptions, attemptMiddleware);
+      };
+
+      return this.withFallback(url, options, () => {
+        if (this.config.coalesce.enabled && isGet && options.coalesce !== false && !options.body) {
+          return this.coalescedRequest(url, options, send);
+        }
+        return send(options);
+      });
+    });
+  }
+
+  /**
+   * Apply instance defaults: resolve the URL against baseURL, append config and per-call
+   * params (per-call values win), and layer per-call headers over config headers. With a
+   * body, the config Content-Type is left to the body preparation, as a fallback only.
+   */
+  applyDefaults(url, options) {
+    const { baseURL, headers, params } = this.config;
+    const serializer = resolveParamsSerializer(options.paramsSerializer, this.config.paramsSerializer);
+    const merged = { ...params, ...options.params };
+    const query = typeof serializer === 'function' ? serializer(merged) : serializeParams(merged, serializer);
+
+    const defaults = new Headers(headers ?? undefined);
+    if (options.body !== undefined && options.body !== null) {
+      defaults.delete('Content-Type');
+    }
+    return {
+      url: buildURL(url, options.baseURL ?? baseURL, query),
+      options: { ...options, headers: mergeHeaders(defaults, options.headers) },
+    };
+  }
+
+  /**
+   * The Content-Type set in config.headers, if any
+   */
+  defaultContentType() {
+    return new Headers(this.config.headers ?? undefined).get('Content-Type');
+  }
+
+  /**
+   * Create a child wrapper that inherits this one's config and middleware, with overrides
+   * merged in (headers and params too). By default the child shares this wrapper's circuit
+   * breakers, so both see the same backend health; pass shareCircuitBreaker: false to give
+   * it its own. Retry budget, bulkheads, rate limiters and cache are always per wrapper.
+   */
+  extend(overrides = {}, { shareCircuitBreaker = true } = {}) {
+    if (shareCircuitBreaker && overrides.circuitBreaker) {
+      throw new TypeError('A child sharing its parent\'s circuit breakers cannot override circuitBreaker; pass { shareCircuitBreaker: false }');
+    }
+
+    const parent = this.config;
+    const child = new HttpWrapper({
+      ...parent,
+      ...overrides,
+      headers: mergeHeaders(parent.headers, overrides.headers) ?? {},
+      params: { ...parent.params, ...overrides.params },
+      paramsSerializer: resolveParamsSerializer(overrides.paramsSerializer, parent.paramsSerializer),
+      circuitBreaker: { ...parent.circuitBreaker, ...overrides.circuitBreaker },
+      retryPolicy: { ...parent.retryPolicy, ...overrides.retryPolicy },
+      retryBudget: { ...parent.retryBudget, ...overrides.retryBudget },
+      hedge: { ...parent.hedge, ...overrides.hedge },
+      bulkhead: { ...parent.bulkhead, ...overrides.bulkhead },
+      rateLimit: { ...parent.rateLimit, ...overrides.rateLimit },
+      cache: { ...parent.cache, ...overrides.cache },
+      coalesce: { ...parent.coalesce, ...overrides.coalesce },
+      backoff: resolveBackoff(overrides, parent.backoff),
+      middleware: [...this.middleware, ...(overrides.middleware ?? [])],
+    });
+
+    if (shareCircuitBreaker) {
+      const registry = this.circuitBreakers;
+      child.circuitBreakers = registry;
+      child.config.circuitBreaker = registry.config;
+
+      // Held weakly, so children the caller drops don't stay alive through the shared registry
+      const childRef = new WeakRef(child);
+      const forward = (key, from, to) => {
+        const target = childRef.deref();
+        if (target) {
+          target.emit('circuit:state', { key, from, to });
+        } else {
+          registry.listeners.delete(forward);
+        }
+      };
+      registry.listeners.add(forward);
+    }
+    return child;
+  }
+
+  /**
+   * Run a request, replacing a failure with the configured fallback (per call or per instance).
+   * A fallback function gets { error, attempts, breakerState, url, method, lastGoodResponse }
+   * and may return a substitute value or Response, or undefined to rethrow the error.
+   * 'last-good' serves the last successful GET response for the URL and credentials.
+   */
+  async withFallback(url, options, run) {
+    const fallback = options.fallback !== undefined ? options.fallback : this.config.fallback;
+    const method = (options.method ?? 'GET').toUpperCase();
+    const keepLastGood = method === 'GET' && (fallback === 'last-good' || this.config.keepLastGood);
+    if (!fallback && !keepLastGood) {
+      return run();
+    }
+
+    // Kept apart per credentials, so one user is never served a response fetched for another
+    const headers = new Headers(options.headers);
+    const lastGoodKey = `${url}\nauthorization: ${headers.get('authorization') ?? ''}`;
+
+    try {
+      const response = await run();
+      if (keepLastGood && response.ok) {
+        this.rememberLastGood(lastGoodKey, url, response, headers);
+      }
+      return response;
+    } catch (error) {
+      // Caller cancellation is final
+      if (!fallback || options.signal?.aborted) {
+        throw error;
+      }
+
+      const stored = method === 'GET' ? await this.lastGoodResponses.get(lastGoodKey) : undefined;
+      const lastGood = stored && matchesVary(stored, headers) ? stored : undefined;
+      const context = {
+        error,
+        attempts: error.attempts ?? 0,
+        breakerState: this.circuitBreakers.getState(this.circuitBreakers.keyFor(url, options)),
+        url,
+        method,
+        lastGoodResponse: lastGood ? createCachedResponse(lastGood, 'stale') : null,
+      };
+      const value = fallback === 'last-good' ? context.lastGoodResponse : await fallback(context);
+      if (value === undefined || value === null) {
+        throw error;
+      }
+      return createFallbackResponse(value, error);
+    }
+  }
+
+  /**
+   * Store a copy of a successful GET for 'last-good', in the background so the caller can
+   * start reading the body right away. Bodies over lastGoodMaxBytes are skipped: the copy
+   * stops reading there, so it never holds or downloads more than that.
+   */
+  rememberLastGood(key, url, response, requestHeaders) {
+    const limit = this.config.lastGoodMaxBytes;
+    if (Number(response.headers.get('content-length')) > limit) {
+      return;
+    }
+
+    const read = response.body
+      ? readLimitedBody(response.clone(), limit)
+      : Promise.resolve({ bytes: new Uint8Array(0), truncated: false });
+    read
+      .then(({ bytes, truncated }) => {
+        if (!truncated) {
+          return this.lastGoodResponses.set(key, createCacheEntry(url, response, bytes, requestHeaders));
+        }
+      })
+      .catch(() => {});
+  }
+
+  /**
+   * Join an identical in-flight GET, or start one that later callers can join.
+   * The shared request runs with the first caller's options but its own signal, so one
+   * caller aborting only detaches that caller; it is cancelled once every caller has left.
+   * Each caller gets its own clone of the response.
+   */
+  async coalescedRequest(url, options, send) {
+    const headers = new Headers(options.headers);
+    const key = [`GET ${url}`, ...this.config.coalesce.headers.map(name => `${name.toLowerCase()}: ${headers.get(name) ?? ''}`)]
+      .join('\n');
+
+    let flight = this.inFlight.get(key);
+    if (!flight) {
+      const controller = new AbortController();
+      const leave = () => {
+        if (this.inFlight.get(key) === flight) {
+          this.inFlight.delete(key);
+        }
+      };
+      flight = { controller, callers: 0, leave };
+      // Leave the map before any caller resumes, so nobody joins a settled flight
+      flight.promise = send({ ...options, signal: controller.signal }).then(
+        (response) => {
+          leave();
+          return response;
+        },
+        (error) => {
+          leave();
+          throw error;
+        },
+      );
+      this.inFlight.set(key, flight);
+    }
+
+    flight.callers++;
+    let response;
+    try {
+      response = await (options.signal ? raceAbort(flight.promise, options.signal) : flight.promise);
+      return cloneResponse(response);
+    } finally {
+      if (--flight.callers === 0) {
+        if (response) {
+          // Every caller has its clone; release the original body
+          response.body?.cancel().catch(() => {});
+        } else {
+          flight.leave();
+          flight.controller.abort(options.signal?.reason);
+        }
+      }
+    }
+  }
+
+  /**
+   * Serve a GET from the cache while fresh, otherwise revalidate with If-None-Match /
+   * If-Modified-Since. The fetch `cache` option and request Cache-Control are honoured:
+   * 'no-store' bypasses the cache, 'no-cache' always revalidates, 'reload' skips the
+   * lookup but stores the result, and 'force-cache' serves stale entries without revalidating.
+   */
+  async cachedRequest(url, options, attemptMiddleware) {
+    const headers = new Headers(options.headers);
+    const directives = parseCacheControl(headers.get('cache-control'));
+    const mode = directives['no-store'] ? 'no-store' : directives['no-cache'] ? 'no-cache' : (options.cache ?? 'default');
+    if (mode === 'no-store') {
+      return this.executeRequest(url, options, attemptMiddleware);
+    }
+
+    const key = `GET ${url}`;
+    const cached = mode === 'reload' ? undefined : await this.cacheStore.get(key);
+    const entry = cached && matchesVary(cached, headers) ? cached : undefined;
+
+    if (entry && (mode === 'force-cache' || (mode === 'default' && entry.expiresAt > Date.now()))) {
+      return createCachedResponse(entry, 'hit');
+    }
+
+    let requestOptions = options;
+    if (entry) {
+      const stored = new Headers(entry.headers);
+      if (stored.has('etag') && !headers.has('if-none-match')) {
+        headers.set('If-None-Match', stored.get('etag'));
+      }
+      if (stored.has('last-modified') && !headers.has('if-modified-since')) {
+        headers.set('If-Modified-Since', stored.get('last-modified'));
+      }
+      requestOptions = { ...options, headers: Object.fromEntries(headers) };
+    }
+
+    const response = await this.executeRequest(url, requestOptions, attemptMiddleware);
+
+    if (response.status === 304 && entry) {
+      // The 304 may carry updated caching headers; the stored body stays as is
+      const merged = new Headers(entry.headers);
+      response.headers.forEach((value, name) => {
+        if (name !== 'content-length') {
+          merged.set(name, value);
+        }
+      });
+      const now = Date.now();
+      const refreshed = { ...entry, headers: [...merged], storedAt: now, expiresAt: now + getFreshnessLifetime(merged, now) };
+      await this.cacheStore.set(key, refreshed);
+      return createCachedResponse(refreshed, 'revalidated');
+    }
+
+    if (!isCacheable(response)) {
+      return response;
+    }
+
+    const body = new Uint8Array(await response.arrayBuffer());
+    await this.cacheStore.set(key, createCacheEntry(url, response, body, headers));
+    return rebuildResponse(response, body);
+  }
+
+  /**
+   * Remove every cached response
+   */
+  async clearCache() {
+    await this.cacheStore.clear();
+  }
+
+  /**
+   * Run the retry loop for one logical request, wrapping each attempt in attempt middleware
+   */
+  async executeRequest(url, options, attemptMiddleware = []) {
+    const effectiveConfig = { ...this.config, ...options };
+    const {
+      maxRetries, baseDelay, maxDelay, timeout, onRetry,
+      respectRetryAfter, maxRetryAfter, totalTimeout,
+      connectTimeout, bodyTimeout, bodyIdleTimeout, bufferBody, onHedge, errorBodyLimit, shouldRetry,
+    } = effectiveConfig;
+    const tracer = effectiveConfig.tracer ?? NOOP_TRACER;
+    const headersTimeout = effectiveConfig.headersTimeout ?? timeout;
+    const backoff = resolveBackoff(options, this.config.backoff);
+    const { signal } = options;
+    const deadline = totalTimeout ? Date.now() + totalTimeout : Infinity;
+    let attempts = 0;
+    const deadlineError = (lastError) => Object.assign(new DeadlineExceededError(
+      `Request deadline of ${totalTimeout}ms exceeded`, totalTimeout, lastError,
+    ), { attempts });
+
+    // The Idempotency-Key is generated once here so every attempt reuses it
+    const { options: requestOptions, canRetry } = applyIdempotency(options, {
+      ...effectiveConfig,
+      retryPolicy: this.config.retryPolicy,
+    });
+
+    const breakerKey = this.circuitBreakers.keyFor(url, options);
+    const breaker = this.circuitBreakers.get(breakerKey);
+
+    const method = (requestOptions.method ?? 'GET').toUpperCase();
+    const hedge = this.resolveHedge(requestOptions.method, options.hedge);
+    const latency = this.getLatencyTracker(breakerKey);
+
+    const bulkhead = this.config.bulkhead.enabled
+      ? this.getBulkhead(resolveRequestKey(this.config.bulkhead.keyBy, url, options))
+      : null;
+    if (bulkhead) {
+      // Queueing counts against the overall deadline too
+      const untilDeadline = deadline - Date.now();
+      const queueTimeout = bulkhead.config.queueTimeout || Infinity;
+      if (untilDeadline <= 0) {
+        throw deadlineError();
+      }
+      try {
+        await bulkhead.acquire(signal, Math.min(queueTimeout, untilDeadline));
+      } catch (error) {
+        throw error.reason === 'queue-timeout' && untilDeadline < queueTimeout ? deadlineError() : error;
+      }
+    }
+    // Anything that throws between here and the request settling must still free the slot
+    try {
+      const rateLimiter = this.config.rateLimit.enabled ? this.getRateLimiter(resolveRequestKey('origin', url)) : null;
+      // Every send, including retries and hedges, takes a slot from the same limiter
+      const limitedFetch = async (fetchUrl, fetchOptions, ...rest) => {
+        fetchOptions = await resolveBodyFactory(fetchOptions, this.defaultContentType());
+        if (!rateLimiter) {
+          return fetchWithTimeout(fetchUrl, fetchOptions, ...rest);
+        }
+        await rateLimiter.acquire(fetchOptions.signal, Math.min(rateLimiter.config.maxWait, deadline - Date.now()));
+        try {
+          const response = await fetchWithTimeout(fetchUrl, fetchOptions, ...rest);
+          rateLimiter.updateFromHeaders(response.headers, response.status);
+          return response;
+        } catch (error) {
+          if (error.response) {
+            rateLimiter.updateFromHeaders(error.response.headers, error.response.status);
+          }
+          throw error;
+        }
+      };
+
+      const requestStart = Date.now();
+      this.emit('request:start', { url, method, key: breakerKey });
+      const requestSpan = tracer.startSpan(`HTTP ${method}`, {
+        parent: options.parentSpan,
+        attributes: { 'http.request.method': method, 'url.full': String(url), 'circuit_breaker.state': breaker.state },
+      });
+
+      return await breaker.execute(async () => {
+        // Only requests that get past the breaker and bulkhead send traffic, so only they earn retry tokens
+        this.retryBudget.deposit();
+
+        let lastError;
+        let lastDelay = baseDelay;
+        let retryDelay = 0;
+        let exhausted = false;
+        const history = [];
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+          // Shorten the attempt timeout so it never outlives the overall deadline
+          const remaining = deadline - Date.now();
+          if (remaining <= 0) {
+            throw deadlineError(lastError);
+          }
+          const attemptTimeout = Math.min(headersTimeout, remaining);
+          attempts = attempt + 1;
+
+          const phases = { connectTimeout, bodyTimeout, bodyIdleTimeout, errorBodyLimit };
+          const hedgeDelay = hedge ? this.getHedgeDelay(hedge, latency) : null;
+
+          const sendAttempt = async ({ url: attemptUrl, options: attemptOptions }) => {
+            const send = (attemptSignal) => {
+              return limitedFetch(attemptUrl, { ...attemptOptions, signal: attemptSignal }, attemptTimeout, phases);
+            };
+
+            const startTime = Date.now();
+            const response = hedgeDelay === null
+              ? await limitedFetch(attemptUrl, attemptOptions, attemptTimeout, phases)
+              : await hedgedFetch(send, {
+                delay: hedgeDelay,
+                maxHedges: hedge.maxHedges,
+                signal,
+                // Don't pile more load on a host whose breaker opened meanwhile
+                canHedge: () => breaker.state !== 'open',
+                onHedge: (n) => onHedge?.(attempt + 1, { hedge: n, delay: hedgeDelay }),
+              });
+            latency.record(Date.now() - startTime);
+
+            // Reading the body here lets a stalled body be retried like any other timeout
+            if (bufferBody) {
+              return rebuildResponse(response, await response.arrayBuffer());
+            }
+            return response;
+          };
+
+          const attemptStart = Date.now();
+          let decision = null;  // Set when shouldRetry asks to retry a successful response
+          this.emit('attempt:start', { url, method, attempt: attempt + 1 });
+          const attemptSpan = tracer.startSpan(`HTTP ${method} attempt`, {
+            parent: requestSpan,
+            attributes: {
+              'http.request.method': method,
+              'url.full': String(url),
+              'http.retry.attempt': attempt + 1,
+              'http.retry.backoff_delay_ms': retryDelay,
+              'circuit_breaker.state': breaker.state,
+            },
+          });
+          try {
+            const context = {
+              scope: 'attempt',
+              url,
+              options: injectTraceContext({ ...requestOptions }, attemptSpan),
+              method,
+              attempt: attempt + 1,
+            };
+            const response = await runMiddleware(attemptMiddleware, context, sendAttempt);
+
+            // With retryOnInvalid, requestJson validates each response here so a bad body fails the attempt
+            if (options.validateResponse) {
+              try {
+                await options.validateResponse(response);
+              } catch (error) {
+                response.body?.cancel().catch(() => {});
+                throw error;
+              }
+            }
+
+            // shouldRetry may also reject a successful response (e.g. a body saying "pending"),
+            // the last attempt's too: that one fails the request instead of being returned
+            if (shouldRetry && canRetry) {
+              decision = await resolveRetryDecision(shouldRetry, {
+                attempt: attempt + 1, error: null, response: cloneResponse(response), elapsed: Date.now() - requestStart, method, url,
+              }, effectiveConfig);
+              if (decision !== false) {
+                response.body?.cancel().catch(() => {});
+                throw new HttpError(`Retry requested for HTTP ${response.status} response`, {
+                  status: response.status,
+                  statusText: response.statusText,
+                  headers: response.headers,
+                  method,
+                  url: response.url || String(url),
+                  response,
+                });
+              }
+            }
+
+            this.emit('attempt:end', {
+              url, method, attempt: attempt + 1, status: response.status, duration: Date.now() - attemptStart, error: null,
+            });
+            attemptSpan.setAttribute('http.response.status_code', response.status);
+            attemptSpan.end();
+            return response;
+          } catch (error) {
+            this.emit('attempt:end', {
+              url, method, attempt: attempt + 1, status: error.status ?? null, duration: Date.now() - attemptStart, error,
+            });
+            failSpan(attemptSpan, error);
+            attemptSpan.end();
+
+            // A retry that can't get a rate-limit slot in time surfaces the failure behind it
+            if (error.name === 'RateLimitExceededError' && lastError) {
+              lastError.rateLimited = true;
+              break;
+            }
+            lastError = error;
+            history.push({ attempt: attempt + 1, error, duration: Date.now() - attemptStart, delay: null });
+
+            // Caller cancellation is final
+            if (signal?.aborted) {
+              throw error;
+            }
+
+            if (error.name === 'TimeoutError' && error.phase === 'headers' && attemptTimeout < headersTimeout) {
+              throw deadlineError(error);
+            }
+
+            // Check if error is retryable, asking shouldRetry first
+            if (canRetry && decision === null) {
+              decision = await resolveRetryDecision(shouldRetry, {
+                attempt: attempt + 1, error, response: error.response ?? null, elapsed: Date.now() - requestStart, method, url,
+              }, effectiveConfig);
+            }
+            const retryable = decision !== null && decision !== false;
+
+            // Don't retry on last attempt, or when the method's policy forbids it
+            if (attempt === maxRetries || !canRetry) {
+              exhausted = canRetry && attempt > 0 && retryable;
+              break;
+            }
+
+            if (!retryable) {
+              break;
+            }
+
+            // Calculate delay unless shouldRetry chose one, deferring to the server if it asked for longer
+            const explicitDelay = typeof decision === 'number';
+            let delay = explicitDelay ? decision : calculateDelay(attempt, baseDelay, maxDelay, backoff, {
+              lastDelay, error, random: this.random,
+            });
+            lastDelay = delay;
+            let reason = explicitDelay ? 'should-retry' : 'backoff';
+
+            const retryAfter = respectRetryAfter && !explicitDelay ? parseRetryAfter(error.response?.headers) : null;
+            if (retryAfter !== null) {
+              error.retryAfter = retryAfter;
+              if (retryAfter > maxRetryAfter) {
+                break;
+              }
+              if (retryAfter >= delay) {
+                delay = retryAfter;
+                reason = 'retry-after';
+              }
+            }
+
+            // No point waiting if the next attempt could not start before the deadline
+            if (Date.now() + delay >= deadline) {
+              throw deadlineError(error);
+            }
+
+            // Fail fast with the original error once retries exceed their share of traffic
+            if (!this.retryBudget.tryWithdraw()) {
+              error.retryBudgetExhausted = true;
+              break;
+            }
+
+            onRetry?.(attempt + 1, error, { delay, reason });
+            this.emit('retry', { url, method, attempt: attempt + 1, error, delay, reason });
+            retryDelay = delay;
+            history[history.length - 1].delay = delay;
+            await abortableSleep(delay, signal);
+          }
+        }
+
+        lastError.attempts = attempts;
+        if (exhausted) {
+          throw new RetriesExhaustedError(`Request failed after ${attempts} attempts: ${lastError.message}`, history, lastError);
+        }
+        throw lastError;
+      }, signal).then(
+        (response) => {
+          this.emit('request:end', { url, method, status: response.status, attempts, duration: Date.now() - requestStart });
+          requestSpan.setAttribute('http.response.status_code', response.status);
+          requestSpan.setAttribute('http.retry.attempts', attempts);
+          requestSpan.end();
+          return response;
+        },
+        (error) => {
+          this.emit('request:giveup', { url, method, error, attempts, duration: Date.now() - requestStart });
+          failSpan(requestSpan, error);
+          requestSpan.setAttribute('http.retry.attempts', attempts);
+          requestSpan.setAttribute('circuit_breaker.state', breaker.state);
+          requestSpan.end();
+          throw error;
+        },
+      );
+    } finally {
+      bulkhead?.release();
+    }
+  }
+
+  /**
+   * Resolve hedging settings for a method; returns null when hedging does not apply
+   */
+  resolveHedge(method = 'GET', callHedge) {
+    if (callHedge === false) {
+      return null;
+    }
+
+    const hedge = { ...this.config.hedge, ...callHedge };
+    if (!hedge.enabled || !hedge.methods.includes(method.toUpperCase())) {
+      return null;
+    }
+    return hedge;
+  }
+
+  /**
+   * Get the hedge delay in ms, or null while too few latency samples exist for a percentile
+   */
+  getHedgeDelay(hedge, latency) {
+    if (typeof hedge.delay === 'number') {
+      return hedge.delay;
+    }
+
+    const percentile = Number(String(hedge.delay).replace(/^p/, ''));
+    if (Number.isNaN(percentile)) {
+      throw new Error(`Invalid hedge delay: ${hedge.delay}`);
+    }
+    if (latency.samples.length < hedge.minSamples) {
+      return null;
+    }
+    return latency.percentile(percentile);
+  }
+
+  /**
+   * Get the latency tracker for a circuit breaker key
+   */
+  getLatencyTracker(key) {
+    if (!this.latencyTrackers.has(key)) {
+      this.latencyTrackers.set(key, new LatencyTracker());
+    }
+    return this.latencyTrackers.get(key);
+  }
+
+  /**
+   * GET request
+   */
+  get(url, options = {}) {
+    return this.request(url, { ...options, method: 'GET' });
+  }
+
+  /**
+   * POST request; data is serialized by its type, or by options.bodyType
+   */
+  post(url, data, options = {}) {
+    return this.request(url, { ...options, method: 'POST', body: data });
+  }
+
+  /**
+   * PUT request; data is serialized by its type, or by options.bodyType
+   */
+  put(url, data, options = {}) {
+    return this.request(url, { ...options, method: 'PUT', body: data });
+  }
+
+  /**
+   * Make a request and resolve to its parsed body (see readValidatedBody), checked with
+   * options.validator. Invalid data throws ResponseValidationError; with retryOnInvalid
+   * it is checked per attempt, so it is retried and counts as a circuit breaker failure.
+   */
+  async requestJson(url, options = {}) {
+    const { validator, retryOnInvalid = this.config.retryOnInvalid, ...requestOptions } = options;
+    if (validator && !isValidator(validator)) {
+      throw new TypeError('validator must be a function or an object with a parse() or validate() method');
+    }
+    const method = (requestOptions.method ?? 'GET').toUpperCase();
+
+    let validated = null;  // { response, value } from the retry loop's last check
+    const response = await this.request(url, {
+      ...requestOptions,
+      // An Accept header in config.headers counts as set too
+      headers: new Headers(this.config.headers ?? undefined).has('Accept')
+        ? requestOptions.headers
+        : withDefaultHeader(requestOptions.headers, 'Accept', 'application/json'),
+      ...(retryOnInvalid && {
+        validateResponse: async (attemptResponse) => {
+          const value = await readValidatedBody(attemptResponse.clone(), validator, { method, url });
+          validated = { response: attemptResponse, value };
+        },
+      }),
+    });
+
+    // Cache hits, fallbacks and joined requests come back as other responses and are checked here
+    if (validated?.response === response) {
+      response.body?.cancel().catch(() => {});
+      return validated.value;
+    }
+    return readValidatedBody(response, validator, { method, url });
+  }
+
+  /**
+   * GET request resolving to the parsed, validated body
+   */
+  getJson(url, options = {}) {
+    return this.requestJson(url, { ...options, method: 'GET' });
+  }
+
+  /**
+   * POST request resolving to the parsed, validated body
+   */
+  postJson(url, data, options = {}) {
+    return this.requestJson(url, { ...options, method: 'POST', body: data });
+  }
+
+  /**
+   * PUT request resolving to the parsed, validated body
+   */
+  putJson(url, data, options = {}) {
+    return this.requestJson(url, { ...options, method: 'PUT', body: data });
+  }
+
+  /**
+   * PATCH request resolving to the parsed, validated body
+   */
+  patchJson(url, data, options = {}) {
+    return this.requestJson(url, { ...options, method: 'PATCH', body: data });
+  }
+
+  /**
+   * DELETE request resolving to the parsed, validated body
+   */
+  deleteJson(url, options = {}) {
+    return this.requestJson(url, { ...options, method: 'DELETE' });
+  }
+
+  /**
+   * DELETE request
+   */
+  delete(url, options = {}) {
+    return this.request(url, { ...options, method: 'DELETE' });
+  }
+
+  /**
+   * PATCH request; data is serialized by its type, or by options.bodyType
+   */
+  patch(url, data, options = {}) {
+    return this.request(url, { ...options, method: 'PATCH', body: data });
+  }
+
+  /**
+   * Get circuit breaker state for a key (an origin by default; a full URL is also accepted).
+   * Without a key and with several breakers, a summary of all of them.
+   */
+  getCircuitBreakerState(key) {
+    const resolved = key === undefined ? this.defaultBreakerKey() : this.resolveBreakerKey(key);
+    return resolved === null ? this.circuitBreakers.getAggregateState() : this.circuitBreakers.getState(resolved);
+  }
+
+  /**
+   * Get states of all circuit breakers, keyed by breaker key
+   */
+  getCircuitBreakerStates() {
+    return this.circuitBreakers.getStates();
+  }
+
+  /**
+   * Get circuit breaker state after loading the latest shared state from circuitBreaker.store
+   */
+  async syncCircuitBreakerState(key) {
+    const resolved = key === undefined ? this.defaultBreakerKey(false) : this.resolveBreakerKey(key);
+    const breakers = resolved === null ? [...this.circuitBreakers.breakers.values()] : [this.circuitBreakers.get(resolved)];
+    if (this.circuitBreakers.config.store) {
+      await Promise.all(breakers.map(breaker => breaker.sync()));
+    }
+    return resolved === null ? this.circuitBreakers.getAggregateState() : breakers[0].getState();
+  }
+
+  /**
+   * Reset the circuit breaker for a key, or all breakers when no key is given.
+   * Resolves once the shared state is cleared too, when a store is configured.
+   */
+  resetCircuitBreaker(key) {
+    return this.circuitBreakers.reset(key === undefined ? undefined : this.resolveBreakerKey(key));
+  }
+
+  /**
+   * Breaker key used when none is given: the global breaker in global mode, otherwise the
+   * only breaker created so far, or null when there are several to sum up. Before any
+   * request every breaker is in its initial state, so a throwaway key reports it, unless
+   * `allowEmpty` is false.
+   */
+  defaultBreakerKey(allowEmpty = true) {
+    const keys = [...this.circuitBreakers.breakers.keys()];
+    if ((this.circuitBreakers.config.keyBy ?? 'origin') === 'global' || (keys.length === 0 && allowEmpty)) {
+      return GLOBAL_KEY;
+    }
+    if (keys.length === 0) {
+      throw new TypeError('Circuit breakers are kept per key and none exists yet; pass the key or URL to sync');
+    }
+    return keys.length === 1 ? keys[0] : null;
+  }
+
+  /**
+   * Map a URL passed as a breaker key to the origin it is stored under
+   */
+  resolveBreakerKey(key) {
+    if (this.circuitBreakers.config.keyBy !== 'origin' || !key.includes('://')) {
+      return key;
+    }
+    return this.circuitBreakers.keyFor(key);
+  }
+
+  /**
+   * Get the bulkhead for a key, creating it on first use
+   */
+  getBulkhead(key) {
+    if (!this.bulkheads.has(key)) {
+      this.bulkheads.set(key, new Bulkhead(this.config.bulkhead));
+    }
+    return this.bulkheads.get(key);
+  }
+
+  /**
+   * Get the rate limiter for an origin, creating it on first use with any per-origin overrides
+   */
+  getRateLimiter(origin) {
+    if (!this.rateLimiters.has(origin)) {
+      const { origins = {}, ...defaults } = this.config.rateLimit;
+      this.rateLimiters.set(origin, new RateLimiter({ ...defaults, ...origins[origin] }));
+    }
+    return this.rateLimiters.get(origin);
+  }
+
+  /**
+   * Get rate limiter state for an origin (a full URL also works)
+   */
+  getRateLimiterState(origin) {
+    return this.getRateLimiter(resolveRequestKey('origin', origin)).getState();
+  }
+
+  /**
+   * Get bulkhead active/queued counts for a key (the whole wrapper by default)
+   */
+  getBulkheadState(key = GLOBAL_KEY) {
+    if (this.config.bulkhead.keyBy === 'origin' && key.includes('://')) {
+      key = resolveRequestKey('origin', key);
+    }
+    return (this.bulkheads.get(key) ?? new Bulkhead(this.config.bulkhead)).getState();
+  }
+
+  /**
+   * Get retry budget state
+   */
+  getRetryBudgetState() {
+    return this.retryBudget.getState();
   }
 
   /**
    * Update configuration
    */
   updateConfig(config) {
-    this.config = { ...this.config, ...config };
+    const previous = this.config;
+    this.config = {
+      ...previous,
+      ...config,
+      retryPolicy: { ...previous.retryPolicy, ...config.retryPolicy },
+      hedge: { ...previous.hedge, ...config.hedge },
+      coalesce: { ...previous.coalesce, ...config.coalesce },
+      paramsSerializer: resolveParamsSerializer(config.paramsSerializer, previous.paramsSerializer),
+      backoff: resolveBackoff(config, previous.backoff),
+    };
+    if (config.randomSeed !== undefined) {
+      this.random = createRandomSource(config.randomSeed);
+    }
     if (config.circuitBreaker) {
-      this.circuitBreaker.config = { ...this.circuitBreaker.config, ...config.circuitBreaker };
+      this.circuitBreakers.updateConfig(config.circuitBreaker);
+      this.config.circuitBreaker = this.circuitBreakers.config;
+    }
+    if (config.bulkhead) {
+      this.config.bulkhead = { ...previous.bulkhead, ...config.bulkhead };
+      this.bulkheads.forEach(bulkhead => {
+        bulkhead.config = this.config.bulkhead;
+      });
+    }
+    if (config.rateLimit) {
+      // Limiters are rebuilt lazily so per-origin overrides are re-applied
+      this.config.rateLimit = { ...previous.rateLimit, ...config.rateLimit };
+      this.rateLimiters.clear();
+    }
+    if (config.cache) {
+      this.config.cache = { ...previous.cache, ...config.cache };
+      if (config.cache.store) {
+        this.cacheStore = config.cache.store;
+      } else if (this.cacheStore instanceof MemoryCacheStore) {
+        this.cacheStore.maxEntries = this.config.cache.maxEntries;
+        this.cacheStore.maxBytes = this.config.cache.maxBytes;
+      }
+    }
+    if (config.retryBudget) {
+      this.retryBudget.updateConfig(config.retryBudget);
+      this.config.retryBudget = this.retryBudget.config;
     }
   }
 }
@@ -330,8 +3582,36 @@ async function httpFetch(url, options = {}) {
 export {
   HttpWrapper,
   CircuitBreaker,
+  CircuitBreakerRegistry,
   CircuitBreakerOpenError,
+  FileBreakerStateStore,
+  MemoryBreakerStateStore,
+  KeyValueBreakerStateStore,
+  DeadlineExceededError,
+  TimeoutError,
+  HttpError,
+  ResponseValidationError,
+  RetriesExhaustedError,
+  RetryBudget,
+  Bulkhead,
+  BulkheadRejectedError,
+  RateLimiter,
+  RateLimitExceededError,
+  LatencyTracker,
+  MetricsCollector,
+  NOOP_TRACER,
+  createOpenTelemetryTracer,
+  MemoryCacheStore,
+  FileCacheStore,
   calculateDelay,
+  createRandom,
+  BACKOFF_STRATEGIES,
+  parseRetryAfter,
+  parseRateLimitHeaders,
+  parseCacheControl,
+  serializeBody,
+  serializeParams,
+  resolveRetryPolicy,
   isRetryableError,
   fetchWithTimeout,
   httpFetch,
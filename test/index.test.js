@@ -4,11 +4,45 @@
 
 import { describe, it, mock } from 'node:test';
 import assert from 'node:assert';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, utimes, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
 import {
   HttpWrapper,
   CircuitBreaker,
+  CircuitBreakerRegistry,
   CircuitBreakerOpenError,
+  FileBreakerStateStore,
+  MemoryBreakerStateStore,
+  KeyValueBreakerStateStore,
+  DeadlineExceededError,
+  TimeoutError,
+  HttpError,
+  ResponseValidationError,
+  RetriesExhaustedError,
+  RetryBudget,
+  Bulkhead,
+  BulkheadRejectedError,
+  RateLimiter,
+  RateLimitExceededError,
+  LatencyTracker,
+  MetricsCollector,
+  NOOP_TRACER,
+  createOpenTelemetryTracer,
+  MemoryCacheStore,
+  FileCacheStore,
   calculateDelay,
+  createRandom,
+  BACKOFF_STRATEGIES,
+  parseRetryAfter,
+  parseRateLimitHeaders,
+  parseCacheControl,
+  serializeBody,
+  serializeParams,
+  resolveRetryPolicy,
   isRetryableError,
   fetchWithTimeout,
   httpFetch,
@@ -48,6 +82,120 @@ describe('calculateDelay', () => {
   });
 });
 
+describe('backoff strategies', () => {
+  const delays = (strategy, count = 5, context = {}) => {
+    return Array.from({ length: count }, (_, attempt) => calculateDelay(attempt, 100, 10000, strategy, context));
+  };
+
+  it('should list the built-in strategies', () => {
+    assert.deepStrictEqual(Object.keys(BACKOFF_STRATEGIES).sort(), [
+      'constant', 'decorrelated-jitter', 'equal-jitter', 'exponential', 'fibonacci', 'full-jitter', 'linear',
+    ]);
+  });
+
+  it('should compute deterministic strategies', () => {
+    assert.deepStrictEqual(delays('exponential'), [100, 200, 400, 800, 1600]);
+    assert.deepStrictEqual(delays('constant'), [100, 100, 100, 100, 100]);
+    assert.deepStrictEqual(delays('linear'), [100, 200, 300, 400, 500]);
+    assert.deepStrictEqual(delays('fibonacci'), [100, 100, 200, 300, 500]);
+  });
+
+  it('should keep equal jitter within the upper half of the exponential delay', () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const exponential = 100 * Math.pow(2, attempt);
+      const delay = calculateDelay(attempt, 100, 10000, 'equal-jitter');
+      assert.ok(delay >= exponential / 2 && delay <= exponential);
+    }
+  });
+
+  it('should apply jitter to the capped delay at high attempt numbers', () => {
+    const at = (strategy, value) => calculateDelay(10, 1000, 30000, strategy, { random: () => value });
+    assert.deepStrictEqual([0, 0.5, 0.99].map(value => at('full-jitter', value)), [0, 15000, 29700]);
+    assert.deepStrictEqual([0, 0.5, 0.99].map(value => at('equal-jitter', value)), [15000, 22500, 29850]);
+  });
+
+  it('should keep decorrelated jitter between baseDelay and three times the last delay', () => {
+    for (let i = 0; i < 50; i++) {
+      const delay = calculateDelay(3, 100, 10000, 'decorrelated-jitter', { lastDelay: 400 });
+      assert.ok(delay >= 100 && delay <= 1200);
+    }
+  });
+
+  it('should call custom strategies with attempt, last delay and error', () => {
+    const error = new Error('Fail');
+    const calls = [];
+    const delay = calculateDelay(2, 100, 10000, (attempt, lastDelay, err) => {
+      calls.push([attempt, lastDelay, err]);
+      return 50000;
+    }, { lastDelay: 300, error });
+
+    assert.deepStrictEqual(calls, [[2, 300, error]]);
+    assert.strictEqual(delay, 10000);
+  });
+
+  it('should reject unknown strategies', () => {
+    assert.throws(() => calculateDelay(0, 100, 1000, 'bogus'), /Unknown backoff strategy/);
+  });
+
+  it('should produce reproducible delays from a seeded random source', () => {
+    const first = delays('full-jitter', 5, { random: createRandom(42) });
+    const second = delays('full-jitter', 5, { random: createRandom(42) });
+    const other = delays('full-jitter', 5, { random: createRandom(7) });
+
+    assert.deepStrictEqual(first, second);
+    assert.notDeepStrictEqual(first, other);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should parse delta-seconds', () => {
+    assert.strictEqual(parseRetryAfter(new Headers({ 'Retry-After': '120' })), 120000);
+  });
+
+  it('should parse HTTP-date relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+    const headers = new Headers({ 'Retry-After': 'Wed, 21 Oct 2015 07:28:30 GMT' });
+    assert.strictEqual(parseRetryAfter(headers, now), 30000);
+  });
+
+  it('should not return a negative delay for past dates', () => {
+    const headers = new Headers({ 'Retry-After': 'Wed, 21 Oct 2015 07:28:00 GMT' });
+    assert.strictEqual(parseRetryAfter(headers), 0);
+  });
+
+  it('should fall back to RateLimit-Reset', () => {
+    assert.strictEqual(parseRetryAfter(new Headers({ 'RateLimit-Reset': '5' })), 5000);
+
+    const now = 1700000000000;
+    const headers = new Headers({ 'RateLimit-Reset': '1700000010' });
+    assert.strictEqual(parseRetryAfter(headers, now), 10000);
+  });
+
+  it('should return null when no usable header is present', () => {
+    assert.strictEqual(parseRetryAfter(new Headers()), null);
+    assert.strictEqual(parseRetryAfter(new Headers({ 'Retry-After': 'soon' })), null);
+    assert.strictEqual(parseRetryAfter(undefined), null);
+  });
+});
+
+describe('resolveRetryPolicy', () => {
+  it('should default to always for unlisted methods', () => {
+    assert.strictEqual(resolveRetryPolicy('GET', DEFAULT_CONFIG.retryPolicy), 'always');
+    assert.strictEqual(resolveRetryPolicy(undefined, DEFAULT_CONFIG.retryPolicy), 'always');
+  });
+
+  it('should require an idempotency key for POST and PATCH by default', () => {
+    assert.strictEqual(resolveRetryPolicy('post', DEFAULT_CONFIG.retryPolicy), 'idempotency-key');
+    assert.strictEqual(resolveRetryPolicy('PATCH', DEFAULT_CONFIG.retryPolicy), 'idempotency-key');
+  });
+
+  it('should apply per-call overrides', () => {
+    assert.strictEqual(resolveRetryPolicy('POST', DEFAULT_CONFIG.retryPolicy, 'always'), 'always');
+    assert.strictEqual(resolveRetryPolicy('PUT', DEFAULT_CONFIG.retryPolicy, { PUT: 'never' }), 'never');
+    assert.strictEqual(resolveRetryPolicy('POST', DEFAULT_CONFIG.retryPolicy, { PUT: 'never' }), 'idempotency-key');
+  });
+});
+
 describe('isRetryableError', () => {
   it('should retry on configured status codes', () => {
     const retryableStatuses = [408, 429, 500, 502, 503, 504];
@@ -88,6 +236,16 @@ describe('isRetryableError', () => {
     const error = new Error('Unknown error');
     assert.ok(!isRetryableError(error, [], []));
   });
+
+  it('should accept status ranges like 5xx', () => {
+    const error = new Error('Test error');
+    error.status = 599;
+    assert.ok(isRetryableError(error, ['5xx'], []));
+    assert.ok(isRetryableError(error, ['4XX', '599'], []));
+
+    error.status = 404;
+    assert.ok(!isRetryableError(error, ['5xx', 429], []));
+  });
 });
 
 describe('CircuitBreaker', () => {
@@ -112,6 +270,17 @@ describe('CircuitBreaker', () => {
     assert.strictEqual(state.failureCount, 3);
   });
 
+  it('should not count a deadline that ran out before anything was sent', async () => {
+    const cb = new CircuitBreaker({ enabled: true, failureThreshold: 1, successThreshold: 1, timeout: 60000 });
+
+    await assert.rejects(() => cb.execute(() => Promise.reject(new DeadlineExceededError('Deadline', 100))), DeadlineExceededError);
+    assert.strictEqual(cb.getState().state, 'closed');
+
+    const sent = new DeadlineExceededError('Deadline', 100, new Error('Fail'));
+    await assert.rejects(() => cb.execute(() => Promise.reject(sent)), DeadlineExceededError);
+    assert.strictEqual(cb.getState().state, 'open');
+  });
+
   it('should reject when circuit is open', async () => {
     const cb = new CircuitBreaker({ enabled: true, failureThreshold: 2, successThreshold: 2, timeout: 60000 });
 
@@ -144,6 +313,51 @@ describe('CircuitBreaker', () => {
     assert.strictEqual(state.state, 'closed');
   });
 
+  it('should report remaining cool-down time when open', async () => {
+    const cb = new CircuitBreaker({ enabled: true, failureThreshold: 1, successThreshold: 1, timeout: 60000 });
+    await assert.rejects(() => cb.execute(() => Promise.reject(new Error('Fail'))));
+
+    await assert.rejects(() => cb.execute(() => Promise.resolve('ok')), (error) => {
+      assert.ok(error instanceof CircuitBreakerOpenError);
+      assert.ok(error.remainingTime > 59000 && error.remainingTime <= 60000);
+      return true;
+    });
+  });
+
+  it('should limit concurrent probes while half-open', async () => {
+    const cb = new CircuitBreaker({
+      enabled: true, failureThreshold: 1, successThreshold: 1, timeout: 50, halfOpenMaxCalls: 2,
+    });
+    await assert.rejects(() => cb.execute(() => Promise.reject(new Error('Fail'))));
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    const probes = [cb.execute(() => pending), cb.execute(() => pending)];
+
+    await assert.rejects(() => cb.execute(() => Promise.resolve('ok')), CircuitBreakerOpenError);
+    assert.strictEqual(cb.getState().state, 'half-open');
+
+    release('ok');
+    assert.deepStrictEqual(await Promise.all(probes), ['ok', 'ok']);
+    assert.strictEqual(cb.getState().state, 'closed');
+    assert.strictEqual(await cb.execute(() => Promise.resolve('after')), 'after');
+  });
+
+  it('should allow one probe at a time by default', async () => {
+    const cb = new CircuitBreaker({ enabled: true, failureThreshold: 1, successThreshold: 2, timeout: 50 });
+    await assert.rejects(() => cb.execute(() => Promise.reject(new Error('Fail'))));
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    const probe = cb.execute(() => new Promise(resolve => setTimeout(() => resolve('ok'), 20)));
+    await assert.rejects(() => cb.execute(() => Promise.resolve('ok')), CircuitBreakerOpenError);
+    await probe;
+
+    // The probe has settled, so the next trial call is let through
+    assert.strictEqual(await cb.execute(() => Promise.resolve('ok')), 'ok');
+    assert.strictEqual(cb.getState().state, 'closed');
+  });
+
   it('should reset state when reset() is called', async () => {
     const cb = new CircuitBreaker({ enabled: true, failureThreshold: 2, successThreshold: 2, timeout: 60000 });
 
@@ -171,6 +385,636 @@ describe('CircuitBreaker', () => {
   });
 });
 
+describe('CircuitBreaker failure-rate mode', () => {
+  const fail = () => Promise.reject(new Error('Fail'));
+  const ok = () => Promise.resolve('ok');
+
+  it('should trip when the failure rate crosses the threshold', async () => {
+    const cb = new CircuitBreaker({
+      enabled: true,
+      mode: 'failure-rate',
+      failureRateThreshold: 40,
+      minimumThroughput: 5,
+      windowType: 'count',
+      windowSize: 10,
+      timeout: 60000,
+    });
+
+    // Alternating outcomes never reach a consecutive threshold but fail 40% of calls
+    await cb.execute(ok);
+    await assert.rejects(() => cb.execute(fail));
+    await cb.execute(ok);
+    await cb.execute(ok);
+    assert.strictEqual(cb.getState().state, 'closed');
+
+    await assert.rejects(() => cb.execute(fail));
+    const state = cb.getState();
+    assert.strictEqual(state.state, 'open');
+    assert.strictEqual(state.windowCalls, 5);
+    assert.strictEqual(state.failureRate, 40);
+  });
+
+  it('should not trip below the minimum throughput', async () => {
+    const cb = new CircuitBreaker({
+      enabled: true,
+      mode: 'failure-rate',
+      failureRateThreshold: 50,
+      minimumThroughput: 5,
+      timeout: 60000,
+    });
+
+    for (let i = 0; i < 4; i++) {
+      await assert.rejects(() => cb.execute(fail));
+    }
+    assert.strictEqual(cb.getState().state, 'closed');
+  });
+
+  it('should only consider the most recent calls in a count window', async () => {
+    const cb = new CircuitBreaker({
+      enabled: true,
+      mode: 'failure-rate',
+      failureRateThreshold: 50,
+      minimumThroughput: 4,
+      windowType: 'count',
+      windowSize: 4,
+      timeout: 60000,
+    });
+
+    await assert.rejects(() => cb.execute(fail));
+    for (let i = 0; i < 4; i++) {
+      await cb.execute(ok);
+    }
+    await assert.rejects(() => cb.execute(fail));
+
+    const state = cb.getState();
+    assert.strictEqual(state.windowCalls, 4);
+    assert.strictEqual(state.failureRate, 25);
+    assert.strictEqual(state.state, 'closed');
+  });
+
+  it('should drop calls older than a time window', async () => {
+    const cb = new CircuitBreaker({
+      enabled: true,
+      mode: 'failure-rate',
+      failureRateThreshold: 50,
+      minimumThroughput: 2,
+      windowType: 'time',
+      windowSize: 50,
+      timeout: 60000,
+    });
+
+    await assert.rejects(() => cb.execute(fail));
+    await new Promise(resolve => setTimeout(resolve, 80));
+    await cb.execute(ok);
+    await cb.execute(ok);
+
+    assert.strictEqual(cb.getState().windowCalls, 2);
+    assert.strictEqual(cb.getState().failureRate, 0);
+  });
+
+  it('should count slow calls as failures', async () => {
+    const cb = new CircuitBreaker({
+      enabled: true,
+      mode: 'failure-rate',
+      failureRateThreshold: 50,
+      minimumThroughput: 2,
+      slowCallThreshold: 10,
+      timeout: 60000,
+    });
+
+    const slow = () => new Promise(resolve => setTimeout(() => resolve('slow'), 30));
+    assert.strictEqual(await cb.execute(slow), 'slow');
+    assert.strictEqual(await cb.execute(slow), 'slow');
+    assert.strictEqual(cb.getState().state, 'open');
+  });
+
+  it('should reopen on a failed probe while half-open', async () => {
+    const cb = new CircuitBreaker({
+      enabled: true,
+      mode: 'failure-rate',
+      failureRateThreshold: 50,
+      minimumThroughput: 2,
+      successThreshold: 2,
+      timeout: 50,
+    });
+
+    await assert.rejects(() => cb.execute(fail));
+    await assert.rejects(() => cb.execute(fail));
+    assert.strictEqual(cb.getState().state, 'open');
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    await cb.execute(ok);
+    assert.strictEqual(cb.getState().state, 'half-open');
+    await assert.rejects(() => cb.execute(fail));
+    assert.strictEqual(cb.getState().state, 'open');
+  });
+});
+
+describe('RetryBudget', () => {
+  it('should always allow retries when disabled', () => {
+    const budget = new RetryBudget({ enabled: false, minRetriesPerSecond: 0 });
+    for (let i = 0; i < 100; i++) {
+      assert.ok(budget.tryWithdraw());
+    }
+  });
+
+  it('should allow retries in proportion to requests', () => {
+    const budget = new RetryBudget({ enabled: true, ratio: 0.2, minRetriesPerSecond: 0 });
+    for (let i = 0; i < 10; i++) {
+      budget.deposit();
+    }
+
+    assert.ok(budget.tryWithdraw());
+    assert.ok(budget.tryWithdraw());
+    assert.ok(!budget.tryWithdraw());
+
+    const state = budget.getState();
+    assert.strictEqual(state.requests, 10);
+    assert.strictEqual(state.retries, 2);
+    assert.strictEqual(state.rejected, 1);
+  });
+
+  it('should keep a per-second floor of retries', () => {
+    const budget = new RetryBudget({ enabled: true, ratio: 0, minRetriesPerSecond: 3 });
+    assert.ok(budget.tryWithdraw());
+    assert.ok(budget.tryWithdraw());
+    assert.ok(budget.tryWithdraw());
+    assert.ok(!budget.tryWithdraw());
+
+    budget.refill(Date.now() + 1000);
+    assert.ok(budget.tryWithdraw());
+  });
+
+  it('should cap saved tokens at maxTokens', () => {
+    const budget = new RetryBudget({ enabled: true, ratio: 1, minRetriesPerSecond: 0, maxTokens: 5 });
+    for (let i = 0; i < 50; i++) {
+      budget.deposit();
+    }
+    assert.strictEqual(budget.getState().tokens, 5);
+  });
+});
+
+describe('Bulkhead', () => {
+  it('should queue calls over maxConcurrent and hand off slots in order', async () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueue: 2, queueTimeout: 0 });
+    const order = [];
+
+    await bulkhead.acquire();
+    const second = bulkhead.acquire().then(() => order.push('second'));
+    const third = bulkhead.acquire().then(() => order.push('third'));
+    assert.deepStrictEqual(bulkhead.getState(), { active: 1, queued: 2, maxConcurrent: 1, maxQueue: 2 });
+
+    bulkhead.release();
+    await second;
+    bulkhead.release();
+    await third;
+    bulkhead.release();
+
+    assert.deepStrictEqual(order, ['second', 'third']);
+    assert.strictEqual(bulkhead.getState().active, 0);
+  });
+
+  it('should reject when the queue is full', async () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueue: 0 });
+    await bulkhead.acquire();
+    await assert.rejects(() => bulkhead.acquire(), (error) => {
+      assert.ok(error instanceof BulkheadRejectedError);
+      assert.strictEqual(error.reason, 'queue-full');
+      return true;
+    });
+  });
+
+  it('should reject queued calls after queueTimeout', async () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueue: 1, queueTimeout: 20 });
+    await bulkhead.acquire();
+    await assert.rejects(() => bulkhead.acquire(), { name: 'BulkheadRejectedError', reason: 'queue-timeout' });
+    assert.strictEqual(bulkhead.getState().queued, 0);
+  });
+
+  it('should drop queued calls whose signal aborts', async () => {
+    const bulkhead = new Bulkhead({ maxConcurrent: 1, maxQueue: 1, queueTimeout: 0 });
+    await bulkhead.acquire();
+
+    const controller = new AbortController();
+    const queued = bulkhead.acquire(controller.signal);
+    controller.abort();
+    await assert.rejects(() => queued, { name: 'AbortError' });
+    assert.strictEqual(bulkhead.getState().queued, 0);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('should spend the bucket then space reservations by interval / limit', () => {
+    const limiter = new RateLimiter({ limit: 2, interval: 1000 });
+    const now = limiter.lastRefill;
+
+    assert.strictEqual(limiter.reserve(now).wait, 0);
+    assert.strictEqual(limiter.reserve(now).wait, 0);
+    assert.strictEqual(limiter.reserve(now).wait, 500);
+    assert.strictEqual(limiter.reserve(now).wait, 1000);
+  });
+
+  it('should allow limit calls per sliding window', () => {
+    const limiter = new RateLimiter({ algorithm: 'sliding-window', limit: 2, interval: 1000 });
+
+    assert.strictEqual(limiter.reserve(0).wait, 0);
+    assert.strictEqual(limiter.reserve(100).wait, 0);
+    assert.strictEqual(limiter.reserve(200).wait, 800);
+    assert.strictEqual(limiter.reserve(200).wait, 900);
+    assert.strictEqual(limiter.getState(1500).available, 0);
+  });
+
+  it('should reject instead of waiting past maxWait and give the slot back', async () => {
+    const limiter = new RateLimiter({ limit: 1, interval: 10000, maxWait: 100 });
+    await limiter.acquire();
+
+    await assert.rejects(() => limiter.acquire(), (error) => {
+      assert.ok(error instanceof RateLimitExceededError);
+      assert.ok(error.wait > 100);
+      return true;
+    });
+    assert.ok(limiter.tokens > -1);
+  });
+
+  it('should block until the server reset when remaining hits zero', () => {
+    const limiter = new RateLimiter({ limit: 10, interval: 1000 });
+    limiter.updateFromHeaders(new Headers({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '5' }), 200, 0);
+
+    assert.strictEqual(limiter.reserve(0).wait, 5000);
+  });
+
+  it('should lower available tokens to the server-reported remaining quota', () => {
+    const limiter = new RateLimiter({ limit: 10, interval: 1000 });
+    const now = limiter.lastRefill;
+    limiter.updateFromHeaders(new Headers({ 'ratelimit-remaining': '1' }), 200, now);
+
+    assert.strictEqual(limiter.reserve(now).wait, 0);
+    assert.strictEqual(limiter.reserve(now).wait, 100);
+  });
+
+  it('should honour Retry-After on 429 and ignore headers when not adaptive', () => {
+    const limiter = new RateLimiter({ limit: 10, interval: 1000 });
+    limiter.updateFromHeaders(new Headers({ 'retry-after': '2' }), 429, 0);
+    assert.strictEqual(limiter.getState(0).blockedUntil, 2000);
+
+    const fixed = new RateLimiter({ limit: 10, interval: 1000, adaptive: false });
+    fixed.updateFromHeaders(new Headers({ 'retry-after': '2' }), 429, 0);
+    assert.strictEqual(fixed.getState(0).blockedUntil, null);
+  });
+});
+
+describe('parseRateLimitHeaders', () => {
+  it('should read standard and X- prefixed headers', () => {
+    assert.deepStrictEqual(
+      parseRateLimitHeaders(new Headers({ 'RateLimit-Remaining': '3', 'RateLimit-Reset': '10' })),
+      { remaining: 3, reset: 10000 },
+    );
+    assert.deepStrictEqual(
+      parseRateLimitHeaders(new Headers({ 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '1700000060' }), 1700000000000),
+      { remaining: 0, reset: 60000 },
+    );
+    assert.deepStrictEqual(parseRateLimitHeaders(new Headers()), { remaining: null, reset: null });
+  });
+});
+
+describe('CircuitBreaker snapshots', () => {
+  it('should round-trip state through toJSON and restore', () => {
+    const config = { enabled: true, failureThreshold: 2, successThreshold: 1, timeout: 1000 };
+    const breaker = new CircuitBreaker(config, 'https://a.example.com');
+    breaker.onFailure();
+    breaker.onFailure();
+
+    const copy = new CircuitBreaker(config, 'https://a.example.com');
+    copy.restore(JSON.parse(JSON.stringify(breaker)));
+
+    assert.deepStrictEqual(copy.getState(), breaker.getState());
+    assert.strictEqual(copy.state, 'open');
+  });
+
+  it('should move to half-open after the timeout and open by hand', () => {
+    const breaker = new CircuitBreaker({ enabled: true, failureThreshold: 5, timeout: 1000 });
+    breaker.forceOpen(0);
+
+    breaker.checkTimeout(999);
+    assert.strictEqual(breaker.state, 'open');
+    breaker.checkTimeout(1000);
+    assert.strictEqual(breaker.state, 'half-open');
+  });
+
+  it('should reopen a forced-open circuit when its first probe fails', () => {
+    const onCircuitOpen = mock.fn();
+    const breaker = new CircuitBreaker({ enabled: true, failureThreshold: 5, timeout: 1000, onCircuitOpen });
+    breaker.forceOpen(0);
+    breaker.checkTimeout(1000);
+
+    breaker.onFailure();
+    assert.strictEqual(breaker.state, 'open');
+    assert.strictEqual(onCircuitOpen.mock.callCount(), 1);
+  });
+});
+
+describe('FileBreakerStateStore', () => {
+  it('should not lose updates from concurrent writers', async (t) => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'breaker-state-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'state.json');
+
+    const increment = () => new FileBreakerStateStore({ file }).update('https://a.example.com', (snapshot) => ({
+      ...snapshot,
+      failureCount: (snapshot?.failureCount ?? 0) + 1,
+    }));
+    await Promise.all(Array.from({ length: 10 }, increment));
+
+    const store = new FileBreakerStateStore({ file });
+    assert.strictEqual((await store.get('https://a.example.com')).failureCount, 10);
+
+    await store.delete('https://a.example.com');
+    assert.deepStrictEqual(await store.getAll(), {});
+  });
+
+  it('should take over a stale lock left by a crashed process', async (t) => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'breaker-state-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'state.json');
+    await writeFile(`${file}.lock`, '');
+    const old = new Date(Date.now() - 60000);
+    await utimes(`${file}.lock`, old, old);
+
+    await new FileBreakerStateStore({ file, lockTimeout: 1000 }).set('global', { state: 'open' });
+    assert.deepStrictEqual(await new FileBreakerStateStore({ file }).get('global'), { state: 'open' });
+  });
+
+  it('should time out waiting for a live lock', async (t) => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'breaker-state-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'state.json');
+    await writeFile(`${file}.lock`, '');
+
+    await assert.rejects(() => new FileBreakerStateStore({ file, lockTimeout: 50 }).set('global', {}), /Timed out waiting for lock/);
+  });
+});
+
+describe('CircuitBreakerRegistry', () => {
+  it('should key breakers by origin by default', () => {
+    const registry = new CircuitBreakerRegistry({ enabled: true });
+    assert.strictEqual(registry.keyFor('https://a.example.com/users?id=1'), 'https://a.example.com');
+    assert.strictEqual(registry.keyFor('http://b.example.com:8080/x'), 'http://b.example.com:8080');
+  });
+
+  it('should support global and custom keys', () => {
+    assert.strictEqual(new CircuitBreakerRegistry({ keyBy: 'global' }).keyFor('https://a.example.com/'), 'global');
+
+    const registry = new CircuitBreakerRegistry({
+      keyBy: (url, options) => `${options.method} ${new URL(url).pathname}`,
+    });
+    assert.strictEqual(registry.keyFor('https://a.example.com/users', { method: 'GET' }), 'GET /users');
+  });
+
+  it('should create breakers lazily and reuse them', () => {
+    const registry = new CircuitBreakerRegistry({ enabled: true });
+    assert.deepStrictEqual(registry.getStates(), {});
+
+    const breaker = registry.get('a');
+    assert.strictEqual(registry.get('a'), breaker);
+    assert.deepStrictEqual(Object.keys(registry.getStates()), ['a']);
+  });
+});
+
+describe('HttpWrapper per-host circuit breakers', () => {
+  it('should isolate failures to the failing origin', async (t) => {
+    t.mock.method(globalThis, 'fetch', async (url) => {
+      if (url.startsWith('http://bad.test')) {
+        return new Response(null, { status: 500 });
+      }
+      return new Response('ok');
+    });
+
+    const opened = [];
+    const wrapper = new HttpWrapper({
+      maxRetries: 0,
+      circuitBreaker: { failureThreshold: 2, onCircuitOpen: key => opened.push(key) },
+    });
+
+    await assert.rejects(() => wrapper.get('http://bad.test/a'));
+    await assert.rejects(() => wrapper.get('http://bad.test/b'));
+    await assert.rejects(() => wrapper.get('http://bad.test/c'), CircuitBreakerOpenError);
+
+    const response = await wrapper.get('http://good.test/');
+    assert.strictEqual(response.status, 200);
+
+    assert.deepStrictEqual(opened, ['http://bad.test']);
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://bad.test').state, 'open');
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://bad.test/any/path').state, 'open');
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://good.test').state, 'closed');
+
+    const states = wrapper.getCircuitBreakerStates();
+    assert.deepStrictEqual(Object.keys(states).sort(), ['http://bad.test', 'http://good.test']);
+
+    wrapper.resetCircuitBreaker('http://bad.test');
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://bad.test').state, 'closed');
+  });
+
+  it('should share one breaker in global mode', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+
+    const wrapper = new HttpWrapper({
+      maxRetries: 0,
+      circuitBreaker: { keyBy: 'global', failureThreshold: 2 },
+    });
+
+    await assert.rejects(() => wrapper.get('http://a.test/'));
+    await assert.rejects(() => wrapper.get('http://b.test/'));
+    await assert.rejects(() => wrapper.get('http://c.test/'), CircuitBreakerOpenError);
+    assert.strictEqual(wrapper.getCircuitBreakerState().state, 'open');
+  });
+
+  it('should report the only breaker when no key is given, and a summary with several', async (t) => {
+    t.mock.method(globalThis, 'fetch', async (url) => new Response(null, { status: url.startsWith('http://b.test') ? 500 : 200 }));
+    const wrapper = new HttpWrapper({ maxRetries: 0, circuitBreaker: { failureThreshold: 1 } });
+    assert.strictEqual(wrapper.getCircuitBreakerState().state, 'closed');
+
+    await assert.rejects(() => wrapper.get('http://b.test/'));
+    assert.strictEqual(wrapper.getCircuitBreakerState().state, 'open');
+
+    await wrapper.get('http://a.test/');
+    const summary = wrapper.getCircuitBreakerState();
+    assert.strictEqual(summary.state, 'open');
+    assert.strictEqual(summary.failureCount, 1);
+    assert.strictEqual(summary.successCount, 1);
+    assert.deepStrictEqual(Object.keys(summary.breakers), ['http://b.test', 'http://a.test']);
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://a.test').state, 'closed');
+  });
+
+  it('should fill in circuit breaker defaults for partial config', () => {
+    const wrapper = new HttpWrapper({ circuitBreaker: { failureThreshold: 10 } });
+    assert.strictEqual(wrapper.config.circuitBreaker.enabled, true);
+    assert.strictEqual(wrapper.config.circuitBreaker.failureThreshold, 10);
+  });
+});
+
+/**
+ * Local stand-in for a shared key/value server such as Redis
+ */
+function createKeyValueClient({ compareAndSet = true } = {}) {
+  const data = new Map();
+  const client = {
+    data,
+    async get(key) {
+      return data.get(key) ?? null;
+    },
+    async set(key, value) {
+      data.set(key, value);
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+  };
+  if (compareAndSet) {
+    client.compareAndSet = async (key, expected, value) => {
+      if ((data.get(key) ?? null) !== expected) {
+        return false;
+      }
+      data.set(key, value);
+      return true;
+    };
+  }
+  return client;
+}
+
+describe('HttpWrapper shared circuit breaker state', () => {
+  it('should trip the breaker for every wrapper sharing the store', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+
+    const store = new KeyValueBreakerStateStore({ client: createKeyValueClient() });
+    const config = { maxRetries: 0, circuitBreaker: { failureThreshold: 2, store } };
+    const workerA = new HttpWrapper(config);
+    const workerB = new HttpWrapper(config);
+
+    await assert.rejects(() => workerA.get('http://api.test/a'), HttpError);
+    await assert.rejects(() => workerB.get('http://api.test/b'), HttpError);
+
+    // Worker A never saw the second failure itself, but picks it up from the store
+    await assert.rejects(() => workerA.get('http://api.test/c'), CircuitBreakerOpenError);
+    assert.strictEqual(fetch.mock.callCount(), 2);
+    assert.strictEqual((await store.get('http://api.test')).state, 'open');
+  });
+
+  it('should emit state changes made by another process', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('ok'));
+
+    const store = new MemoryBreakerStateStore();
+    const wrapper = new HttpWrapper({ circuitBreaker: { keyBy: 'global', store } });
+    const transitions = [];
+    wrapper.on('circuit:state', ({ from, to }) => transitions.push(`${from}->${to}`));
+
+    const other = new CircuitBreaker({ failureThreshold: 5 }, 'global');
+    other.forceOpen();
+    await store.set('global', other.toJSON());
+
+    assert.strictEqual((await wrapper.syncCircuitBreakerState()).state, 'open');
+    await assert.rejects(() => wrapper.get('http://api.test/'), CircuitBreakerOpenError);
+
+    await store.delete('global');
+    const response = await wrapper.get('http://api.test/');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(transitions, ['closed->open', 'open->closed']);
+  });
+
+  it('should not lose outcomes recorded concurrently', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return new Response(null, { status: 500 });
+    });
+
+    const client = createKeyValueClient();
+    const wrappers = Array.from({ length: 4 }, () => new HttpWrapper({
+      maxRetries: 0,
+      circuitBreaker: { failureThreshold: 100, store: new KeyValueBreakerStateStore({ client }) },
+    }));
+
+    await Promise.all(wrappers.map(wrapper => assert.rejects(() => wrapper.get('http://api.test/'))));
+    const snapshot = JSON.parse(client.data.get('circuit-breaker:http://api.test'));
+    assert.strictEqual(snapshot.failureCount, 4);
+  });
+
+  it('should clear shared state on reset', async () => {
+    const store = new MemoryBreakerStateStore();
+    await store.set('http://api.test', { state: 'open', failureCount: 5, lastFailureTime: Date.now() });
+
+    const wrapper = new HttpWrapper({ circuitBreaker: { store } });
+    await wrapper.resetCircuitBreaker('http://api.test/users');
+    assert.strictEqual(await store.get('http://api.test'), undefined);
+  });
+
+  it('should keep working on local state when the store fails', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+
+    const store = {
+      get: async () => { throw new Error('store down'); },
+      update: async () => { throw new Error('store down'); },
+      delete: async () => {},
+    };
+    const wrapper = new HttpWrapper({ maxRetries: 0, circuitBreaker: { failureThreshold: 1, store } });
+
+    await assert.rejects(() => wrapper.get('http://api.test/'), HttpError);
+    await assert.rejects(() => wrapper.get('http://api.test/'), CircuitBreakerOpenError);
+  });
+
+  it('should fire callbacks and events once when the store update is retried', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+
+    const client = createKeyValueClient();
+    const compareAndSet = client.compareAndSet;
+    let conflicts = 2;
+    client.compareAndSet = (...args) => (conflicts-- > 0 ? Promise.resolve(false) : compareAndSet(...args));
+    const onCircuitOpen = mock.fn();
+    const wrapper = new HttpWrapper({
+      maxRetries: 0,
+      circuitBreaker: { failureThreshold: 1, onCircuitOpen, store: new KeyValueBreakerStateStore({ client }) },
+    });
+    const transitions = [];
+    wrapper.on('circuit:state', ({ from, to }) => transitions.push(`${from}->${to}`));
+
+    await assert.rejects(() => wrapper.get('http://api.test/'), HttpError);
+    assert.strictEqual(onCircuitOpen.mock.callCount(), 1);
+    assert.deepStrictEqual(transitions, ['closed->open']);
+  });
+
+  it('should reset locally when the store cannot be cleared', async () => {
+    const store = new MemoryBreakerStateStore();
+    store.delete = async () => { throw new Error('store down'); };
+    const wrapper = new HttpWrapper({ circuitBreaker: { keyBy: 'global', store } });
+    wrapper.circuitBreakers.get('global').forceOpen();
+
+    await wrapper.resetCircuitBreaker();
+    assert.strictEqual(wrapper.getCircuitBreakerState().state, 'closed');
+  });
+});
+
+describe('KeyValueBreakerStateStore', () => {
+  it('should store snapshots as JSON under a prefix', async () => {
+    const client = createKeyValueClient({ compareAndSet: false });
+    const store = new KeyValueBreakerStateStore({ client, prefix: 'svc:' });
+
+    await store.set('global', { state: 'open' });
+    assert.strictEqual(client.data.get('svc:global'), '{"state":"open"}');
+    assert.deepStrictEqual(await store.get('global'), { state: 'open' });
+
+    await store.update('global', () => undefined);
+    assert.strictEqual(await store.get('global'), undefined);
+  });
+
+  it('should give up when the value keeps changing underneath', async () => {
+    const client = createKeyValueClient();
+    client.compareAndSet = async () => false;
+    const store = new KeyValueBreakerStateStore({ client, maxAttempts: 3 });
+
+    let calls = 0;
+    await assert.rejects(() => store.update('global', () => ({ failureCount: ++calls })), /changed concurrently 3 times/);
+    assert.strictEqual(calls, 3);
+  });
+});
+
 describe('HttpWrapper', () => {
   it('should create wrapper with default config', () => {
     const wrapper = new HttpWrapper();
@@ -213,6 +1057,1831 @@ describe('HttpWrapper', () => {
     assert.strictEqual(wrapper.config.maxRetries, 10);
     assert.strictEqual(wrapper.config.timeout, 60000);
   });
+
+  it('should merge partial nested settings with the current ones', () => {
+    const wrapper = new HttpWrapper({ retryPolicy: { PUT: 'never' }, bulkhead: { maxConcurrent: 5 }, hedge: { delay: 100 } });
+    wrapper.updateConfig({
+      retryPolicy: { DELETE: 'never' }, bulkhead: { enabled: true }, hedge: { enabled: true }, rateLimit: { limit: 3 }, cache: { enabled: true },
+    });
+
+    assert.strictEqual(wrapper.config.retryPolicy.PUT, 'never');
+    assert.strictEqual(wrapper.config.retryPolicy.POST, 'idempotency-key');
+    assert.strictEqual(wrapper.config.bulkhead.maxConcurrent, 5);
+    assert.strictEqual(wrapper.config.bulkhead.maxQueue, 100);
+    assert.strictEqual(wrapper.config.hedge.delay, 100);
+    assert.deepStrictEqual(wrapper.config.hedge.methods, ['GET', 'HEAD']);
+    assert.strictEqual(wrapper.config.rateLimit.interval, 1000);
+    assert.strictEqual(wrapper.config.cache.maxEntries, 100);
+  });
+});
+
+describe('HttpWrapper Retry-After handling', () => {
+  it('should wait for Retry-After and report the reason', async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+      calls++;
+      if (calls === 1) {
+        return new Response(null, { status: 429, headers: { 'Retry-After': '0.05' } });
+      }
+      return new Response('ok');
+    });
+
+    const retries = [];
+    const wrapper = new HttpWrapper({
+      baseDelay: 1,
+      jitter: false,
+      onRetry: (attempt, error, info) => retries.push(info),
+    });
+
+    const response = await wrapper.get('http://example.test/');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(retries, [{ delay: 50, reason: 'retry-after' }]);
+  });
+
+  it('should give up when Retry-After exceeds maxRetryAfter', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => {
+      return new Response(null, { status: 503, headers: { 'Retry-After': '120' } });
+    });
+
+    const wrapper = new HttpWrapper({ maxRetryAfter: 1000 });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), (error) => {
+      assert.strictEqual(error.status, 503);
+      assert.strictEqual(error.retryAfter, 120000);
+      return true;
+    });
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+  });
+
+  it('should ignore Retry-After when respectRetryAfter is false', async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+      calls++;
+      if (calls === 1) {
+        return new Response(null, { status: 429, headers: { 'Retry-After': '120' } });
+      }
+      return new Response('ok');
+    });
+
+    const retries = [];
+    const wrapper = new HttpWrapper({
+      baseDelay: 1,
+      jitter: false,
+      respectRetryAfter: false,
+      onRetry: (attempt, error, info) => retries.push(info),
+    });
+
+    await wrapper.get('http://example.test/');
+    assert.deepStrictEqual(retries, [{ delay: 1, reason: 'backoff' }]);
+  });
+});
+
+describe('HttpWrapper cancellation and deadlines', () => {
+  // fetch stand-in that never answers but honors its abort signal
+  const hangingFetch = async (url, options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(options.signal.reason));
+  });
+
+  it('should cancel the in-flight attempt when the caller aborts', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', hangingFetch);
+    const wrapper = new HttpWrapper({ timeout: 10000 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(
+      () => wrapper.get('http://example.test/', { signal: controller.signal }),
+      { name: 'AbortError' },
+    );
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://example.test').failureCount, 0);
+  });
+
+  it('should not count a cancel with a custom abort reason as a failure', async (t) => {
+    t.mock.method(globalThis, 'fetch', hangingFetch);
+    const wrapper = new HttpWrapper({ timeout: 10000, circuitBreaker: { failureThreshold: 1 } });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('user left')), 20);
+
+    await assert.rejects(() => wrapper.get('http://example.test/', { signal: controller.signal }), { message: 'user left' });
+    assert.deepStrictEqual(
+      wrapper.getCircuitBreakerState('http://example.test'),
+      { state: 'closed', failureCount: 0, successCount: 0, lastFailureTime: null },
+    );
+  });
+
+  it('should cancel a pending backoff sleep when the caller aborts', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+    const wrapper = new HttpWrapper({ baseDelay: 10000, jitter: false });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('cancelled by caller')), 20);
+
+    const startTime = Date.now();
+    await assert.rejects(
+      () => wrapper.get('http://example.test/', { signal: controller.signal }),
+      { message: 'cancelled by caller' },
+    );
+    assert.ok(Date.now() - startTime < 1000);
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+  });
+
+  it('should not start a request when the signal is already aborted', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', hangingFetch);
+    const wrapper = new HttpWrapper();
+
+    await assert.rejects(
+      () => wrapper.get('http://example.test/', { signal: AbortSignal.abort() }),
+      { name: 'AbortError' },
+    );
+    assert.strictEqual(fetchMock.mock.callCount(), 0);
+  });
+
+  it('should stop retrying when totalTimeout runs out', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+    const wrapper = new HttpWrapper({ baseDelay: 50, jitter: false, maxRetries: 10 });
+
+    await assert.rejects(
+      () => wrapper.get('http://example.test/', { totalTimeout: 120 }),
+      (error) => {
+        assert.ok(error instanceof DeadlineExceededError);
+        assert.strictEqual(error.totalTimeout, 120);
+        assert.strictEqual(error.lastError.status, 503);
+        return true;
+      },
+    );
+  });
+
+  it('should shorten the attempt timeout to fit the deadline', async (t) => {
+    t.mock.method(globalThis, 'fetch', hangingFetch);
+    const wrapper = new HttpWrapper({ timeout: 10000, totalTimeout: 50 });
+
+    const startTime = Date.now();
+    await assert.rejects(() => wrapper.get('http://example.test/'), (error) => {
+      assert.ok(error instanceof DeadlineExceededError);
+      assert.strictEqual(error.lastError.name, 'TimeoutError');
+      return true;
+    });
+    assert.ok(Date.now() - startTime < 1000);
+  });
+});
+
+describe('HttpWrapper phase timeouts', () => {
+  // Response whose body sends the given chunks, one every `interval` ms, then stalls forever
+  const trickle = (chunks, interval = 0) => {
+    const encoder = new TextEncoder();
+    let index = 0;
+    return new Response(new ReadableStream({
+      async pull(controller) {
+        if (index >= chunks.length) {
+          return new Promise(() => {});
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+        controller.enqueue(encoder.encode(chunks[index++]));
+      },
+    }));
+  };
+
+  it('should time out a stalled body with a body TimeoutError', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => trickle(['partial']));
+    const wrapper = new HttpWrapper({ bodyIdleTimeout: 30 });
+
+    const response = await wrapper.get('http://example.test/');
+    await assert.rejects(() => response.text(), (error) => {
+      assert.ok(error instanceof TimeoutError);
+      assert.strictEqual(error.phase, 'body');
+      assert.strictEqual(error.timeout, 30);
+      assert.ok(error.elapsed >= 25);
+      return true;
+    });
+  });
+
+  it('should enforce the total body timeout while chunks keep arriving', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => trickle(Array(100).fill('x'), 10));
+    const wrapper = new HttpWrapper({ bodyTimeout: 60, bodyIdleTimeout: 1000 });
+
+    const response = await wrapper.get('http://example.test/');
+    await assert.rejects(() => response.text(), { name: 'TimeoutError', phase: 'body', timeout: 60 });
+  });
+
+  it('should pass complete bodies through untouched', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('{"ok":true}', {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' },
+    }));
+    const wrapper = new HttpWrapper({ bodyTimeout: 1000, bodyIdleTimeout: 1000 });
+
+    const response = await wrapper.get('http://example.test/');
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.headers.get('content-type'), 'application/json');
+    assert.deepStrictEqual(await response.json(), { ok: true });
+  });
+
+  it('should retry a stalled body when bufferBody is enabled', async (t) => {
+    let calls = 0;
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => {
+      calls++;
+      return calls === 1 ? trickle(['partial']) : new Response('complete');
+    });
+    const wrapper = new HttpWrapper({ bodyIdleTimeout: 30, bufferBody: true, baseDelay: 1 });
+
+    const response = await wrapper.get('http://example.test/');
+    assert.strictEqual(await response.text(), 'complete');
+    assert.strictEqual(fetchMock.mock.callCount(), 2);
+  });
+
+  it('should report the headers phase when headers time out', async (t) => {
+    t.mock.method(globalThis, 'fetch', async (url, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(options.signal.reason));
+    }));
+    const wrapper = new HttpWrapper({ maxRetries: 0, headersTimeout: 20 });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), { name: 'TimeoutError', phase: 'headers' });
+  });
+
+  it('should fall back to timeout when headersTimeout is not set', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return new Response('ok');
+    });
+    const wrapper = new HttpWrapper({ maxRetries: 0, timeout: 1000 });
+
+    const response = await wrapper.get('http://example.test/');
+    assert.strictEqual(await response.text(), 'ok');
+  });
+
+  it('should use an undici dispatcher for connectTimeout', async (t) => {
+    const { Agent } = await import('undici');
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    const wrapper = new HttpWrapper({ connectTimeout: 500 });
+
+    await wrapper.get('http://example.test/');
+    assert.ok(fetchMock.mock.calls[0].arguments[1].dispatcher instanceof Agent);
+  });
+});
+
+describe('HttpWrapper idempotency-aware retries', () => {
+  const failing = (t) => t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+
+  it('should not retry POST without an Idempotency-Key', async (t) => {
+    const fetchMock = failing(t);
+    const wrapper = new HttpWrapper({ baseDelay: 1 });
+
+    await assert.rejects(() => wrapper.post('http://example.test/orders', { id: 1 }), { status: 503 });
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+  });
+
+  it('should retry POST that carries an Idempotency-Key', async (t) => {
+    const fetchMock = failing(t);
+    const wrapper = new HttpWrapper({ baseDelay: 1, maxRetries: 2 });
+
+    await assert.rejects(() => wrapper.post('http://example.test/orders', { id: 1 }, {
+      headers: { 'Idempotency-Key': 'order-1' },
+    }));
+    assert.strictEqual(fetchMock.mock.callCount(), 3);
+  });
+
+  it('should generate one key per request and reuse it on every attempt', async (t) => {
+    const fetchMock = failing(t);
+    const wrapper = new HttpWrapper({ baseDelay: 1, maxRetries: 2, autoIdempotencyKey: true });
+
+    await assert.rejects(() => wrapper.patch('http://example.test/orders/1', { status: 'paid' }));
+    await assert.rejects(() => wrapper.patch('http://example.test/orders/1', { status: 'paid' }));
+
+    const keys = fetchMock.mock.calls.map(call => new Headers(call.arguments[1].headers).get('Idempotency-Key'));
+    assert.strictEqual(keys.length, 6);
+    assert.ok(keys[0]);
+    assert.strictEqual(new Set(keys.slice(0, 3)).size, 1);
+    assert.strictEqual(new Set(keys.slice(3)).size, 1);
+    assert.notStrictEqual(keys[0], keys[3]);
+    assert.strictEqual(new Headers(fetchMock.mock.calls[0].arguments[1].headers).get('Content-Type'), 'application/json');
+  });
+
+  it('should use a custom key generator and header name', async (t) => {
+    const fetchMock = failing(t);
+    const wrapper = new HttpWrapper({
+      maxRetries: 0,
+      autoIdempotencyKey: () => 'custom-key',
+      idempotencyKeyHeader: 'X-Request-Id',
+    });
+
+    await assert.rejects(() => wrapper.post('http://example.test/orders', {}));
+    assert.strictEqual(new Headers(fetchMock.mock.calls[0].arguments[1].headers).get('X-Request-Id'), 'custom-key');
+  });
+
+  it('should honor per-method and per-call policies', async (t) => {
+    const fetchMock = failing(t);
+    const wrapper = new HttpWrapper({ baseDelay: 1, maxRetries: 1, retryPolicy: { DELETE: 'never' } });
+
+    await assert.rejects(() => wrapper.delete('http://example.test/orders/1'));
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+
+    await assert.rejects(() => wrapper.post('http://example.test/orders', {}, { retryPolicy: 'always' }));
+    assert.strictEqual(fetchMock.mock.callCount(), 3);
+
+    // Instance overrides keep the defaults for other methods
+    await assert.rejects(() => wrapper.post('http://example.test/orders', {}));
+    assert.strictEqual(fetchMock.mock.callCount(), 4);
+  });
+});
+
+describe('serializeBody', () => {
+  it('should pick serialization and content type from the data type', () => {
+    assert.deepStrictEqual(serializeBody({ a: 1 }), { body: '{"a":1}', contentType: 'application/json' });
+    assert.deepStrictEqual(serializeBody([1, 2]), { body: '[1,2]', contentType: 'application/json' });
+    assert.deepStrictEqual(serializeBody('hello'), { body: 'hello', contentType: null });
+    assert.deepStrictEqual(serializeBody(undefined), { body: undefined, contentType: null });
+
+    const params = new URLSearchParams({ a: '1' });
+    assert.strictEqual(serializeBody(params).body, params);
+    assert.strictEqual(serializeBody(params).contentType, null);
+
+    const bytes = Buffer.from('raw');
+    assert.deepStrictEqual(serializeBody(bytes), { body: bytes, contentType: 'application/octet-stream' });
+    assert.strictEqual(serializeBody(new ReadableStream()).contentType, 'application/octet-stream');
+  });
+
+  it('should honour an explicit bodyType', async () => {
+    assert.strictEqual(serializeBody({ a: 1, b: [2, 3], c: undefined }, 'form').body.toString(), 'a=1&b=2&b=3');
+    assert.deepStrictEqual(serializeBody(42, 'text'), { body: '42', contentType: 'text/plain; charset=utf-8' });
+    assert.deepStrictEqual(serializeBody('"quoted"', 'json'), { body: '"\\"quoted\\""', contentType: 'application/json' });
+
+    const form = serializeBody({ name: 'report', file: new Blob(['data'], { type: 'text/csv' }) }, 'multipart').body;
+    assert.ok(form instanceof FormData);
+    assert.strictEqual(form.get('name'), 'report');
+    assert.strictEqual(await form.get('file').text(), 'data');
+
+    assert.throws(() => serializeBody({}, 'xml'), TypeError);
+  });
+});
+
+describe('HttpWrapper request bodies', () => {
+  const receiving = (t, statuses = [200]) => {
+    const bodies = [];
+    const fetchMock = t.mock.method(globalThis, 'fetch', async (url, options) => {
+      bodies.push(await new Response(options.body).text());
+      return new Response(null, { status: statuses[Math.min(bodies.length, statuses.length) - 1] });
+    });
+    return { fetchMock, bodies };
+  };
+
+  const streamOf = (...chunks) => new ReadableStream({
+    pull(controller) {
+      if (chunks.length > 0) {
+        controller.enqueue(new TextEncoder().encode(chunks.shift()));
+      } else {
+        controller.close();
+      }
+    },
+  });
+
+  it('should send objects as JSON without overriding a caller content type', async (t) => {
+    const { fetchMock, bodies } = receiving(t);
+    const wrapper = new HttpWrapper();
+
+    await wrapper.post('http://example.test/', { id: 1 });
+    await wrapper.put('http://example.test/', { id: 2 }, { headers: { 'content-type': 'application/vnd.api+json' } });
+
+    assert.deepStrictEqual(bodies, ['{"id":1}', '{"id":2}']);
+    const [first, second] = fetchMock.mock.calls.map(call => new Headers(call.arguments[1].headers));
+    assert.strictEqual(first.get('content-type'), 'application/json');
+    assert.strictEqual(second.get('content-type'), 'application/vnd.api+json');
+  });
+
+  it('should let fetch set the content type of form bodies', async (t) => {
+    const { fetchMock } = receiving(t);
+    const wrapper = new HttpWrapper();
+
+    const form = new FormData();
+    form.append('file', new Blob(['data']), 'a.txt');
+    await wrapper.post('http://example.test/upload', form);
+    await wrapper.patch('http://example.test/', { q: 'a b' }, { bodyType: 'form' });
+
+    const [upload, patch] = fetchMock.mock.calls.map(call => call.arguments[1]);
+    assert.strictEqual(upload.body, form);
+    assert.strictEqual(new Headers(upload.headers).has('content-type'), false);
+    assert.strictEqual(patch.body.toString(), 'q=a+b');
+  });
+
+  it('should buffer a stream body so retries resend all of it', async (t) => {
+    const { fetchMock, bodies } = receiving(t, [503, 200]);
+    const wrapper = new HttpWrapper({ baseDelay: 1 });
+
+    const response = await wrapper.put('http://example.test/blob', streamOf('abc', 'def'));
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(bodies, ['abcdef', 'abcdef']);
+    assert.strictEqual(new Headers(fetchMock.mock.calls[0].arguments[1].headers).get('content-type'), 'application/octet-stream');
+  });
+
+  it('should send a stream over bodyReplayLimit once, without retrying', async (t) => {
+    const { fetchMock, bodies } = receiving(t, [503, 200]);
+    const wrapper = new HttpWrapper({ baseDelay: 1, bodyReplayLimit: 4 });
+
+    await assert.rejects(() => wrapper.put('http://example.test/blob', streamOf('abc', 'def', 'ghi')), HttpError);
+    assert.deepStrictEqual(bodies, ['abcdefghi']);
+    assert.strictEqual(fetchMock.mock.calls[0].arguments[1].duplex, 'half');
+  });
+
+  it('should call a body factory for every attempt', async (t) => {
+    const { bodies } = receiving(t, [503, 503, 200]);
+    const wrapper = new HttpWrapper({ baseDelay: 1 });
+
+    let calls = 0;
+    await wrapper.put('http://example.test/blob', () => streamOf(`part-${++calls}`));
+    assert.deepStrictEqual(bodies, ['part-1', 'part-2', 'part-3']);
+  });
+});
+
+describe('HttpWrapper backoff configuration', () => {
+  it('should default to full jitter and map the legacy jitter flag', () => {
+    assert.strictEqual(new HttpWrapper().config.backoff, 'full-jitter');
+    assert.strictEqual(new HttpWrapper({ jitter: false }).config.backoff, 'exponential');
+    assert.strictEqual(new HttpWrapper({ backoff: 'linear', jitter: false }).config.backoff, 'linear');
+  });
+
+  it('should update the backoff strategy and seed', () => {
+    const wrapper = new HttpWrapper();
+    wrapper.updateConfig({ jitter: false, randomSeed: 5 });
+    assert.strictEqual(wrapper.config.backoff, 'exponential');
+    assert.strictEqual(wrapper.random(), createRandom(5)());
+
+    wrapper.updateConfig({ circuitBreaker: { failureThreshold: 7 } });
+    assert.strictEqual(wrapper.config.circuitBreaker.failureThreshold, 7);
+    assert.strictEqual(wrapper.config.circuitBreaker.backoff, undefined);
+  });
+
+  it('should retry with reproducible delays when seeded', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+
+    const run = async () => {
+      const retryDelays = [];
+      const wrapper = new HttpWrapper({
+        baseDelay: 5,
+        maxRetries: 3,
+        backoff: 'decorrelated-jitter',
+        randomSeed: 1234,
+        onRetry: (attempt, error, { delay }) => retryDelays.push(delay),
+      });
+      await assert.rejects(() => wrapper.get('http://example.test/'));
+      return retryDelays;
+    };
+
+    const first = await run();
+    assert.strictEqual(first.length, 3);
+    assert.deepStrictEqual(await run(), first);
+  });
+});
+
+describe('HttpWrapper retry budget', () => {
+  it('should fail fast with the original error once the budget is spent', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+    const wrapper = new HttpWrapper({
+      baseDelay: 1,
+      maxRetries: 3,
+      circuitBreaker: { enabled: false },
+      retryBudget: { enabled: true, ratio: 0, minRetriesPerSecond: 2 },
+    });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), { status: 503 });
+    assert.strictEqual(fetchMock.mock.callCount(), 3);
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), (error) => {
+      assert.strictEqual(error.status, 503);
+      assert.strictEqual(error.retryBudgetExhausted, true);
+      return true;
+    });
+    assert.strictEqual(fetchMock.mock.callCount(), 4);
+
+    const state = wrapper.getRetryBudgetState();
+    assert.strictEqual(state.requests, 2);
+    assert.strictEqual(state.retries, 2);
+    assert.strictEqual(state.rejected, 2);
+  });
+
+  it('should not earn tokens for requests rejected by an open circuit', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+    const wrapper = new HttpWrapper({
+      maxRetries: 0,
+      circuitBreaker: { failureThreshold: 1 },
+      retryBudget: { enabled: true },
+    });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), { status: 503 });
+    const { tokens } = wrapper.getRetryBudgetState();
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(() => wrapper.get('http://example.test/'), CircuitBreakerOpenError);
+    }
+
+    assert.strictEqual(wrapper.getRetryBudgetState().requests, 1);
+    assert.strictEqual(wrapper.getRetryBudgetState().tokens, tokens);
+  });
+});
+
+describe('LatencyTracker', () => {
+  it('should compute percentiles over recent samples', () => {
+    const tracker = new LatencyTracker(100);
+    assert.strictEqual(tracker.percentile(95), null);
+
+    for (let i = 1; i <= 100; i++) {
+      tracker.record(i);
+    }
+    assert.strictEqual(tracker.percentile(50), 50);
+    assert.strictEqual(tracker.percentile(95), 95);
+    assert.strictEqual(tracker.percentile(100), 100);
+  });
+
+  it('should keep only the most recent samples', () => {
+    const tracker = new LatencyTracker(3);
+    [100, 100, 1, 2, 3].forEach(latency => tracker.record(latency));
+    assert.deepStrictEqual(tracker.samples, [1, 2, 3]);
+  });
+});
+
+describe('HttpWrapper hedged requests', () => {
+  // First call answers after `slowMs` unless aborted; later calls answer immediately
+  const slowThenFast = (t, slowMs) => {
+    const aborted = [];
+    const fetchMock = t.mock.method(globalThis, 'fetch', async (url, options) => {
+      if (fetchMock.mock.callCount() > 0) {
+        return new Response('fast');
+      }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(new Response('slow')), slowMs);
+        options.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          aborted.push(true);
+          reject(options.signal.reason);
+        });
+      });
+    });
+    return { fetchMock, aborted };
+  };
+
+  it('should start a hedge after the delay and abort the loser', async (t) => {
+    const { fetchMock, aborted } = slowThenFast(t, 500);
+    const hedges = [];
+    const wrapper = new HttpWrapper({
+      hedge: { enabled: true, delay: 20 },
+      onHedge: (attempt, info) => hedges.push({ attempt, ...info }),
+    });
+
+    const response = await wrapper.get('http://example.test/');
+    assert.strictEqual(await response.text(), 'fast');
+    assert.strictEqual(fetchMock.mock.callCount(), 2);
+    assert.deepStrictEqual(aborted, [true]);
+    assert.deepStrictEqual(hedges, [{ attempt: 1, hedge: 1, delay: 20 }]);
+  });
+
+  it('should not hedge when the first attempt answers in time', async (t) => {
+    const { fetchMock } = slowThenFast(t, 5);
+    const wrapper = new HttpWrapper({ hedge: { enabled: true, delay: 200 } });
+
+    const response = await wrapper.get('http://example.test/');
+    assert.strictEqual(await response.text(), 'slow');
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+  });
+
+  it('should only hedge configured methods', async (t) => {
+    const { fetchMock } = slowThenFast(t, 60);
+    const wrapper = new HttpWrapper({ hedge: { enabled: true, delay: 10 } });
+
+    await wrapper.post('http://example.test/', {});
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+  });
+
+  it('should allow disabling hedging per call', async (t) => {
+    const { fetchMock } = slowThenFast(t, 60);
+    const wrapper = new HttpWrapper({ hedge: { enabled: true, delay: 10 } });
+
+    await wrapper.get('http://example.test/', { hedge: false });
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+  });
+
+  it('should wait for enough samples before using a percentile delay', async (t) => {
+    const { fetchMock } = slowThenFast(t, 60);
+    const wrapper = new HttpWrapper({ hedge: { enabled: true, delay: 'p90', minSamples: 5 } });
+
+    await wrapper.get('http://example.test/');
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+  });
+
+  it('should hand failures back to the retry loop', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => {
+      await new Promise(resolve => setTimeout(resolve, 30));
+      return new Response(null, { status: fetchMock.mock.callCount() <= 2 ? 503 : 200 });
+    });
+    const retries = [];
+    const wrapper = new HttpWrapper({
+      baseDelay: 1,
+      hedge: { enabled: true, delay: 10 },
+      onRetry: attempt => retries.push(attempt),
+    });
+
+    const response = await wrapper.get('http://example.test/');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(retries, [1]);
+  });
+});
+
+describe('HttpWrapper middleware', () => {
+  it('should let beforeRequest change headers on every attempt', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => {
+      return new Response(null, { status: fetchMock.mock.callCount() === 0 ? 503 : 200 });
+    });
+    const wrapper = new HttpWrapper({ baseDelay: 1 });
+    wrapper.use({
+      beforeRequest: (context) => {
+        context.options.headers = { ...context.options.headers, 'X-Attempt': String(context.attempt) };
+      },
+    });
+
+    await wrapper.get('http://example.test/', { headers: { Authorization: 'Bearer t' } });
+    const sent = fetchMock.mock.calls.map(call => call.arguments[1].headers);
+    assert.deepStrictEqual(sent, [
+      { Authorization: 'Bearer t', 'X-Attempt': '1' },
+      { Authorization: 'Bearer t', 'X-Attempt': '2' },
+    ]);
+  });
+
+  it('should run request-scoped middleware once per logical request', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => {
+      return new Response(null, { status: fetchMock.mock.callCount() === 0 ? 503 : 200 });
+    });
+    const events = [];
+    const wrapper = new HttpWrapper({
+      baseDelay: 1,
+      middleware: [{
+        scope: 'request',
+        beforeRequest: ({ url }) => { events.push(`start ${url}`); },
+        afterResponse: (response) => { events.push(`end ${response.status}`); },
+      }],
+    });
+
+    await wrapper.get('http://example.test/');
+    assert.deepStrictEqual(events, ['start http://example.test/', 'end 200']);
+    assert.strictEqual(fetchMock.mock.callCount(), 2);
+  });
+
+  it('should run after hooks in reverse order and allow replacing the response', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('{"data":{"id":1}}'));
+    const order = [];
+    const wrapper = new HttpWrapper();
+    wrapper
+      .use({
+        beforeRequest: () => { order.push('outer before'); },
+        afterResponse: async (response) => {
+          order.push('outer after');
+          return new Response(JSON.stringify((await response.json()).data));
+        },
+      })
+      .use({
+        beforeRequest: () => { order.push('inner before'); },
+        afterResponse: () => { order.push('inner after'); },
+      });
+
+    const response = await wrapper.get('http://example.test/');
+    assert.deepStrictEqual(await response.json(), { id: 1 });
+    assert.deepStrictEqual(order, ['outer before', 'inner before', 'inner after', 'outer after']);
+  });
+
+  it('should let onError recover with a response', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 404 }));
+    const wrapper = new HttpWrapper();
+
+    const response = await wrapper.get('http://example.test/', {
+      middleware: [{
+        onError: (error) => (error.status === 404 ? new Response('[]') : undefined),
+      }],
+    });
+    assert.strictEqual(await response.text(), '[]');
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+  });
+
+  it('should let afterResponse turn a response into a retryable error', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => {
+      return new Response(fetchMock.mock.callCount() === 0 ? 'pending' : 'done');
+    });
+    const wrapper = new HttpWrapper({ baseDelay: 1 });
+    wrapper.use({
+      afterResponse: async (response) => {
+        if (await response.clone().text() === 'pending') {
+          const error = new Error('Not ready');
+          error.status = 503;
+          throw error;
+        }
+      },
+    });
+
+    const response = await wrapper.get('http://example.test/');
+    assert.strictEqual(await response.text(), 'done');
+    assert.strictEqual(fetchMock.mock.callCount(), 2);
+  });
+
+  it('should let request-scoped onError handle circuit breaker rejections', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+    const wrapper = new HttpWrapper({ maxRetries: 0, circuitBreaker: { failureThreshold: 1 } });
+    wrapper.use({
+      scope: 'request',
+      onError: (error) => (error instanceof CircuitBreakerOpenError ? new Response('cached') : undefined),
+    });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), { status: 500 });
+    const response = await wrapper.get('http://example.test/');
+    assert.strictEqual(await response.text(), 'cached');
+  });
+});
+
+describe('HttpWrapper bulkhead', () => {
+  it('should cap concurrent requests and expose live counts', async (t) => {
+    const releases = [];
+    t.mock.method(globalThis, 'fetch', () => new Promise(resolve => releases.push(() => resolve(new Response('ok')))));
+    const wrapper = new HttpWrapper({ bulkhead: { enabled: true, maxConcurrent: 2, maxQueue: 1 } });
+
+    const requests = [1, 2, 3].map(i => wrapper.get(`http://example.test/${i}`));
+    await assert.rejects(() => wrapper.get('http://example.test/4'), BulkheadRejectedError);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(releases.length, 2);
+    assert.deepStrictEqual(wrapper.getBulkheadState(), { active: 2, queued: 1, maxConcurrent: 2, maxQueue: 1 });
+
+    releases[0]();
+    await requests[0];
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(releases.length, 3);
+
+    releases[1]();
+    releases[2]();
+    await Promise.all(requests);
+    assert.deepStrictEqual(wrapper.getBulkheadState(), { active: 0, queued: 0, maxConcurrent: 2, maxQueue: 1 });
+  });
+
+  it('should keep separate bulkheads per host when keyed by origin', async (t) => {
+    const releases = [];
+    t.mock.method(globalThis, 'fetch', () => new Promise(resolve => releases.push(() => resolve(new Response('ok')))));
+    const wrapper = new HttpWrapper({ bulkhead: { enabled: true, keyBy: 'origin', maxConcurrent: 1, maxQueue: 0 } });
+
+    const slow = wrapper.get('http://slow.test/');
+    const other = wrapper.get('http://other.test/');
+    await assert.rejects(() => wrapper.get('http://slow.test/again'), BulkheadRejectedError);
+
+    assert.strictEqual(wrapper.getBulkheadState('http://slow.test/any').active, 1);
+    releases.forEach(release => release());
+    await Promise.all([slow, other]);
+  });
+
+  it('should give up queueing when the deadline runs out, without tripping the breaker', async (t) => {
+    let release;
+    t.mock.method(globalThis, 'fetch', () => new Promise(resolve => { release = () => resolve(new Response('ok')); }));
+    const wrapper = new HttpWrapper({ bulkhead: { enabled: true, maxConcurrent: 1 }, circuitBreaker: { failureThreshold: 1 } });
+
+    const slow = wrapper.get('http://example.test/slow');
+    const startTime = Date.now();
+    await assert.rejects(() => wrapper.get('http://example.test/', { totalTimeout: 50 }), DeadlineExceededError);
+    assert.ok(Date.now() - startTime < 1000);
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://example.test').state, 'closed');
+    assert.strictEqual(wrapper.getBulkheadState().queued, 0);
+
+    release();
+    await slow;
+  });
+
+  it('should free the slot when a request:start listener throws', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    const wrapper = new HttpWrapper({ bulkhead: { enabled: true, maxConcurrent: 1, maxQueue: 0 } });
+    wrapper.once('request:start', () => {
+      throw new Error('listener failed');
+    });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), /listener failed/);
+    assert.strictEqual(wrapper.getBulkheadState().active, 0);
+    assert.strictEqual((await wrapper.get('http://example.test/')).status, 200);
+  });
+});
+
+describe('HttpWrapper rate limiting', () => {
+  it('should delay requests over the per-origin quota', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    const wrapper = new HttpWrapper({ rateLimit: { enabled: true, limit: 2, interval: 200 } });
+
+    const start = Date.now();
+    await Promise.all([1, 2, 3].map(i => wrapper.get(`http://example.test/${i}`)));
+    assert.ok(Date.now() - start >= 90);
+
+    // A different origin has its own quota
+    const other = Date.now();
+    await wrapper.get('http://other.test/');
+    assert.ok(Date.now() - other < 50);
+  });
+
+  it('should apply per-origin overrides', () => {
+    const wrapper = new HttpWrapper({
+      rateLimit: { enabled: true, limit: 10, origins: { 'https://api.example.com': { limit: 2, interval: 60000 } } },
+    });
+
+    assert.strictEqual(wrapper.getRateLimiterState('https://api.example.com/v1/users').limit, 2);
+    assert.strictEqual(wrapper.getRateLimiterState('https://other.example.com').limit, 10);
+  });
+
+  it('should make retries wait for the limiter too', async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+      calls++;
+      return calls === 1 ? new Response('busy', { status: 503 }) : new Response('ok');
+    });
+    const wrapper = new HttpWrapper({
+      baseDelay: 0,
+      rateLimit: { enabled: true, limit: 1, interval: 10000, maxWait: 100 },
+    });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), { status: 503, rateLimited: true });
+    assert.strictEqual(calls, 1);
+    await assert.rejects(() => wrapper.get('http://example.test/'), RateLimitExceededError);
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://example.test').failureCount, 1);
+  });
+
+  it('should back off after a response reports the quota is used up', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('ok', {
+      headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '60' },
+    }));
+    const wrapper = new HttpWrapper({ rateLimit: { enabled: true, limit: 100, maxWait: 1000 } });
+
+    await wrapper.get('http://example.test/');
+    await assert.rejects(() => wrapper.get('http://example.test/'), { name: 'RateLimitExceededError' });
+    assert.ok(wrapper.getRateLimiterState('http://example.test').blockedUntil > Date.now());
+  });
+});
+
+describe('parseCacheControl', () => {
+  it('should parse flags and values', () => {
+    assert.deepStrictEqual(parseCacheControl('public, max-age=60, no-cache="set-cookie"'), {
+      public: true, 'max-age': '60', 'no-cache': 'set-cookie',
+    });
+    assert.deepStrictEqual(parseCacheControl(null), {});
+  });
+});
+
+describe('MemoryCacheStore', () => {
+  const entry = (size) => ({ body: new Uint8Array(size) });
+
+  it('should evict the least recently used entry over maxEntries', async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    await store.set('a', entry(1));
+    await store.set('b', entry(1));
+    await store.get('a');
+    await store.set('c', entry(1));
+
+    assert.ok(await store.get('a'));
+    assert.strictEqual(await store.get('b'), undefined);
+    assert.strictEqual(store.getState().entries, 2);
+  });
+
+  it('should evict by total bytes and skip entries larger than maxBytes', async () => {
+    const store = new MemoryCacheStore({ maxBytes: 10 });
+    await store.set('a', entry(6));
+    await store.set('b', entry(6));
+    await store.set('huge', entry(11));
+
+    assert.strictEqual(await store.get('a'), undefined);
+    assert.strictEqual(await store.get('huge'), undefined);
+    assert.deepStrictEqual(store.getState(), { entries: 1, bytes: 6, maxEntries: 100, maxBytes: 10 });
+  });
+});
+
+describe('FileCacheStore', () => {
+  it('should round-trip entries through the filesystem', async () => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'http-cache-'));
+    try {
+      const store = new FileCacheStore({ directory });
+      await store.set('GET http://example.test/', { status: 200, headers: [['etag', '"v1"']], body: new TextEncoder().encode('hello') });
+
+      const entry = await new FileCacheStore({ directory }).get('GET http://example.test/');
+      assert.strictEqual(Buffer.from(entry.body).toString(), 'hello');
+      assert.deepStrictEqual(entry.headers, [['etag', '"v1"']]);
+
+      await store.delete('GET http://example.test/');
+      assert.strictEqual(await store.get('GET http://example.test/'), undefined);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('HttpWrapper response cache', () => {
+  it('should serve fresh responses from the cache', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('data', {
+      headers: { 'cache-control': 'max-age=60' },
+    }));
+    const wrapper = new HttpWrapper({ cache: { enabled: true } });
+
+    await (await wrapper.get('http://example.test/a')).text();
+    const cached = await wrapper.get('http://example.test/a');
+
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+    assert.strictEqual(cached.cacheStatus, 'hit');
+    assert.strictEqual(cached.status, 200);
+    assert.strictEqual(await cached.text(), 'data');
+  });
+
+  it('should not store no-store responses or non-GET requests', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('data', {
+      headers: { 'cache-control': 'no-store, max-age=60' },
+    }));
+    const wrapper = new HttpWrapper({ cache: { enabled: true } });
+
+    await wrapper.get('http://example.test/a');
+    await wrapper.get('http://example.test/a');
+    await wrapper.request('http://example.test/a', { method: 'DELETE' });
+
+    assert.strictEqual(fetchMock.mock.callCount(), 3);
+  });
+
+  it('should revalidate stale entries and serve a 304 from the cached body', async (t) => {
+    const seen = [];
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+      const headers = new Headers(options.headers);
+      seen.push([headers.get('if-none-match'), headers.get('if-modified-since')]);
+      if (headers.get('if-none-match') === '"v1"') {
+        return new Response(null, { status: 304, headers: { 'cache-control': 'max-age=60' } });
+      }
+      return new Response('body', {
+        headers: { etag: '"v1"', 'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT', 'cache-control': 'no-cache' },
+      });
+    });
+    const wrapper = new HttpWrapper({ cache: { enabled: true } });
+
+    await (await wrapper.get('http://example.test/a')).text();
+    const revalidated = await wrapper.get('http://example.test/a');
+    const fresh = await wrapper.get('http://example.test/a');
+
+    assert.deepStrictEqual(seen, [[null, null], ['"v1"', 'Wed, 21 Oct 2015 07:28:00 GMT']]);
+    assert.strictEqual(revalidated.status, 200);
+    assert.strictEqual(revalidated.cacheStatus, 'revalidated');
+    assert.strictEqual(await revalidated.text(), 'body');
+    assert.strictEqual(fresh.cacheStatus, 'hit');
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://example.test').failureCount, 0);
+  });
+
+  it('should honour the fetch cache option and Vary', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('data', {
+      headers: { 'cache-control': 'max-age=60', vary: 'Accept' },
+    }));
+    const wrapper = new HttpWrapper({ cache: { enabled: true } });
+
+    await wrapper.get('http://example.test/a', { headers: { Accept: 'text/plain' } });
+    await wrapper.get('http://example.test/a', { headers: { Accept: 'text/plain' }, cache: 'no-store' });
+    assert.strictEqual((await wrapper.get('http://example.test/a', { headers: { Accept: 'text/plain' } })).cacheStatus, 'hit');
+    await wrapper.get('http://example.test/a', { headers: { Accept: 'application/json' } });
+
+    assert.strictEqual(fetchMock.mock.callCount(), 3);
+  });
+
+  it('should share cached responses between wrappers through a file store', async (t) => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'http-cache-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('{"ok":true}', {
+      headers: { 'cache-control': 'max-age=60', 'content-type': 'application/json' },
+    }));
+
+    const config = () => ({ cache: { enabled: true, store: new FileCacheStore({ directory }) } });
+    await (await new HttpWrapper(config()).get('http://example.test/a')).json();
+    const response = await new HttpWrapper(config()).get('http://example.test/a');
+
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+    assert.deepStrictEqual(await response.json(), { ok: true });
+  });
+});
+
+describe('HttpWrapper request coalescing', () => {
+  it('should share one request and its retries between identical concurrent GETs', async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return calls === 1 ? new Response(null, { status: 503 }) : new Response('config');
+    });
+    const wrapper = new HttpWrapper({ baseDelay: 1, coalesce: { enabled: true } });
+
+    const responses = await Promise.all([1, 2, 3].map(() => wrapper.get('http://example.test/config')));
+
+    assert.strictEqual(calls, 2);
+    assert.deepStrictEqual(await Promise.all(responses.map(response => response.text())), ['config', 'config', 'config']);
+    assert.strictEqual(wrapper.inFlight.size, 0);
+  });
+
+  it('should keep requests apart when a configured header differs', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    const wrapper = new HttpWrapper({ coalesce: { enabled: true, headers: ['authorization'] } });
+
+    await Promise.all([
+      wrapper.get('http://example.test/', { headers: { Authorization: 'a', 'X-Trace': '1' } }),
+      wrapper.get('http://example.test/', { headers: { Authorization: 'a', 'X-Trace': '2' } }),
+      wrapper.get('http://example.test/', { headers: { Authorization: 'b' } }),
+      wrapper.post('http://example.test/', {}),
+    ]);
+
+    assert.strictEqual(fetchMock.mock.callCount(), 3);
+  });
+
+  it('should let one caller abort without cancelling the others', async (t) => {
+    let release;
+    let sharedSignal;
+    t.mock.method(globalThis, 'fetch', (url, options) => {
+      sharedSignal = options.signal;
+      return new Promise(resolve => {
+        release = () => resolve(new Response('ok'));
+      });
+    });
+    const wrapper = new HttpWrapper({ coalesce: { enabled: true } });
+
+    const controller = new AbortController();
+    const leaving = wrapper.get('http://example.test/', { signal: controller.signal });
+    const staying = wrapper.get('http://example.test/');
+    await new Promise(resolve => setImmediate(resolve));
+
+    controller.abort();
+    await assert.rejects(() => leaving, { name: 'AbortError' });
+    assert.strictEqual(sharedSignal.aborted, false);
+
+    release();
+    assert.strictEqual(await (await staying).text(), 'ok');
+  });
+
+  it('should cancel the shared request once every caller has aborted', async (t) => {
+    let sharedSignal;
+    t.mock.method(globalThis, 'fetch', (url, options) => {
+      sharedSignal = options.signal;
+      return new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(options.signal.reason));
+      });
+    });
+    const wrapper = new HttpWrapper({ coalesce: { enabled: true } });
+
+    const controllers = [new AbortController(), new AbortController()];
+    const requests = controllers.map(controller => wrapper.get('http://example.test/', { signal: controller.signal }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    controllers.forEach(controller => controller.abort());
+    await Promise.allSettled(requests);
+    assert.strictEqual(sharedSignal.aborted, true);
+    assert.strictEqual(wrapper.inFlight.size, 0);
+  });
+});
+
+describe('HttpWrapper fallbacks', () => {
+  it('should pass the failure context to a fallback and flag its response', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+    let context;
+    const wrapper = new HttpWrapper({
+      maxRetries: 2,
+      baseDelay: 1,
+      fallback: (ctx) => {
+        context = ctx;
+        return { items: [] };
+      },
+    });
+
+    const response = await wrapper.get('http://example.test/items');
+
+    assert.strictEqual(response.fromFallback, true);
+    assert.strictEqual(response.fallbackError.status, 503);
+    assert.deepStrictEqual(await response.json(), { items: [] });
+    assert.strictEqual(context.attempts, 3);
+    assert.strictEqual(context.error.status, 503);
+    assert.strictEqual(context.breakerState.failureCount, 1);
+    assert.strictEqual(context.lastGoodResponse, null);
+  });
+
+  it('should fall back when the circuit is open', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+    const wrapper = new HttpWrapper({ maxRetries: 0, circuitBreaker: { failureThreshold: 1 } });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'));
+    const response = await wrapper.get('http://example.test/', {
+      fallback: ({ error, attempts, breakerState }) => new Response(`${error.name} ${attempts} ${breakerState.state}`),
+    });
+
+    assert.strictEqual(await response.text(), 'CircuitBreakerOpenError 0 open');
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+  });
+
+  it('should serve the last good response in last-good mode', async (t) => {
+    let healthy = true;
+    t.mock.method(globalThis, 'fetch', async () => (healthy
+      ? new Response('v1', { headers: { 'content-type': 'text/plain' } })
+      : new Response(null, { status: 503 })));
+    const wrapper = new HttpWrapper({ maxRetries: 0, fallback: 'last-good' });
+
+    const fresh = await wrapper.get('http://example.test/config');
+    assert.strictEqual(fresh.fromFallback, undefined);
+    assert.strictEqual(await fresh.text(), 'v1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    healthy = false;
+    const stale = await wrapper.get('http://example.test/config');
+    assert.strictEqual(stale.fromFallback, true);
+    assert.strictEqual(stale.headers.get('content-type'), 'text/plain');
+    assert.strictEqual(await stale.text(), 'v1');
+
+    await assert.rejects(() => wrapper.get('http://example.test/other'), { status: 503 });
+  });
+
+  it('should serve the last good response for a per-call last-good fallback with keepLastGood', async (t) => {
+    let healthy = true;
+    t.mock.method(globalThis, 'fetch', async () => (healthy ? new Response('v1') : new Response(null, { status: 503 })));
+    const wrapper = new HttpWrapper({ maxRetries: 0, keepLastGood: true });
+
+    await (await wrapper.get('http://example.test/config')).text();
+    await new Promise(resolve => setImmediate(resolve));
+
+    healthy = false;
+    const stale = await wrapper.get('http://example.test/config', { fallback: 'last-good' });
+    assert.strictEqual(stale.fromFallback, true);
+    assert.strictEqual(await stale.text(), 'v1');
+    await assert.rejects(() => wrapper.get('http://example.test/config'), { status: 503 });
+
+    const forgetful = new HttpWrapper({ maxRetries: 0 });
+    healthy = true;
+    await (await forgetful.get('http://example.test/config')).text();
+    await new Promise(resolve => setImmediate(resolve));
+    healthy = false;
+    await assert.rejects(() => forgetful.get('http://example.test/config', { fallback: 'last-good' }), { status: 503 });
+  });
+
+  it('should keep last good responses apart per credentials and Vary headers', async (t) => {
+    let healthy = true;
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+      const headers = new Headers(options.headers);
+      return healthy
+        ? new Response(`${headers.get('authorization')} ${headers.get('accept-language')}`, { headers: { Vary: 'Accept-Language' } })
+        : new Response(null, { status: 503 });
+    });
+    const wrapper = new HttpWrapper({ maxRetries: 0, fallback: 'last-good' });
+    const get = (token, language = 'en') => wrapper.get('http://example.test/me', {
+      headers: { Authorization: token, 'Accept-Language': language },
+    });
+
+    await (await get('A')).text();
+    await (await get('B')).text();
+    await new Promise(resolve => setImmediate(resolve));
+
+    healthy = false;
+    assert.strictEqual(await (await get('A')).text(), 'A en');
+    assert.strictEqual(await (await get('B')).text(), 'B en');
+    await assert.rejects(() => get('C'), { status: 503 });
+    await assert.rejects(() => get('A', 'de'), { status: 503 });
+  });
+
+  it('should not remember bodies over lastGoodMaxBytes', async (t) => {
+    let healthy = true;
+    let pulled = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+      if (!healthy) {
+        return new Response(null, { status: 503 });
+      }
+      const stream = new ReadableStream({
+        pull(controller) {
+          pulled += 1024;
+          controller.enqueue(new Uint8Array(1024));
+          if (pulled >= 64 * 1024) {
+            controller.close();
+          }
+        },
+      });
+      return new Response(stream);
+    });
+    const wrapper = new HttpWrapper({ maxRetries: 0, fallback: 'last-good', lastGoodMaxBytes: 4096 });
+
+    const response = await wrapper.get('http://example.test/big');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.ok(pulled < 16 * 1024);
+    await response.body.cancel();
+
+    healthy = false;
+    await assert.rejects(() => wrapper.get('http://example.test/big'), { status: 503 });
+  });
+
+  it('should rethrow when the fallback returns nothing or the caller aborted', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 404 }));
+    const fallback = t.mock.fn(() => undefined);
+    const wrapper = new HttpWrapper({ fallback });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), { status: 404 });
+    assert.strictEqual(fallback.mock.callCount(), 1);
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(() => wrapper.get('http://example.test/', { signal: controller.signal }), { name: 'AbortError' });
+    assert.strictEqual(fallback.mock.callCount(), 1);
+  });
+});
+
+describe('HttpWrapper lifecycle events', () => {
+  it('should emit request, attempt and retry events in order', async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+      calls++;
+      return calls === 1 ? new Response(null, { status: 503 }) : new Response('ok');
+    });
+    const wrapper = new HttpWrapper({ baseDelay: 1, jitter: false });
+    const events = [];
+    for (const name of ['request:start', 'attempt:start', 'attempt:end', 'retry', 'request:end', 'request:giveup']) {
+      wrapper.on(name, (event) => events.push([name, event]));
+    }
+
+    await wrapper.get('http://example.test/a');
+
+    assert.deepStrictEqual(events.map(([name]) => name), [
+      'request:start', 'attempt:start', 'attempt:end', 'retry', 'attempt:start', 'attempt:end', 'request:end',
+    ]);
+    const [, firstEnd] = events[2];
+    assert.strictEqual(firstEnd.status, 503);
+    assert.strictEqual(firstEnd.attempt, 1);
+    assert.ok(firstEnd.duration >= 0);
+    assert.deepStrictEqual({ ...events[3][1], error: undefined }, {
+      url: 'http://example.test/a', method: 'GET', attempt: 1, error: undefined, delay: 1, reason: 'backoff',
+    });
+    assert.strictEqual(events[6][1].attempts, 2);
+  });
+
+  it('should emit give up and breaker state changes with the breaker key', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+    const wrapper = new HttpWrapper({ maxRetries: 0, circuitBreaker: { failureThreshold: 1 } });
+    const events = [];
+    wrapper.on('request:giveup', ({ error, attempts }) => events.push(['giveup', error.status, attempts]));
+    wrapper.on('circuit:state', ({ key, from, to }) => events.push(['circuit', key, from, to]));
+
+    await assert.rejects(() => wrapper.get('http://example.test/'));
+    wrapper.resetCircuitBreaker();
+
+    assert.deepStrictEqual(events, [
+      ['circuit', 'http://example.test', 'closed', 'open'],
+      ['giveup', 500, 1],
+      ['circuit', 'http://example.test', 'open', 'closed'],
+    ]);
+  });
+});
+
+describe('MetricsCollector', () => {
+  it('should render per-host counters and latency histograms in Prometheus format', async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+      calls++;
+      return calls === 1 ? new Response(null, { status: 503 }) : new Response('ok');
+    });
+    const wrapper = new HttpWrapper({ baseDelay: 1 });
+    const metrics = new MetricsCollector({ buckets: [0.1, 1] });
+    metrics.attach(wrapper);
+
+    await wrapper.get('http://example.test:8080/a');
+    const output = metrics.render();
+
+    assert.match(output, /^# HELP http_client_requests_total /m);
+    assert.match(output, /^# TYPE http_client_requests_total counter$/m);
+    assert.match(output, /^http_client_requests_total\{host="example.test:8080",method="GET",outcome="success"\} 1$/m);
+    assert.match(output, /^http_client_attempts_total\{host="example.test:8080",method="GET",status="503"\} 1$/m);
+    assert.match(output, /^http_client_retries_total\{host="example.test:8080",reason="backoff"\} 1$/m);
+    assert.match(output, /^# TYPE http_client_attempt_duration_seconds histogram$/m);
+    assert.match(output, /^http_client_attempt_duration_seconds_bucket\{host="example.test:8080",le="\+Inf"\} 2$/m);
+    assert.match(output, /^http_client_attempt_duration_seconds_count\{host="example.test:8080"\} 2$/m);
+  });
+
+  it('should escape label values and stop collecting once detached', () => {
+    const wrapper = new HttpWrapper();
+    const metrics = new MetricsCollector({ prefix: 'api' });
+    const detach = metrics.attach(wrapper);
+
+    wrapper.emit('circuit:state', { key: 'a"b\\c', from: 'closed', to: 'open' });
+    detach();
+    wrapper.emit('circuit:state', { key: 'other', from: 'closed', to: 'open' });
+
+    assert.strictEqual(metrics.render(), [
+      '# HELP api_circuit_transitions_total Circuit breaker state changes, by breaker key and new state',
+      '# TYPE api_circuit_transitions_total counter',
+      'api_circuit_transitions_total{key="a\\"b\\\\c",state="open"} 1',
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('HttpWrapper tracing', () => {
+  const createTracer = () => {
+    const spans = [];
+    let nextId = 1;
+    return {
+      spans,
+      startSpan(name, { parent, attributes }) {
+        const span = {
+          name,
+          parent,
+          attributes: { ...attributes },
+          status: null,
+          exceptions: [],
+          ended: false,
+          id: String(nextId++).padStart(16, '0'),
+          setAttribute(key, value) {
+            this.attributes[key] = value;
+            return this;
+          },
+          recordException(error) {
+            this.exceptions.push(error);
+          },
+          setStatus(status) {
+            this.status = status;
+            return this;
+          },
+          end() {
+            this.ended = true;
+          },
+          spanContext() {
+            return { traceId: 'a'.repeat(32), spanId: this.id, traceFlags: 1, traceState: 'vendor=1' };
+          },
+        };
+        spans.push(span);
+        return span;
+      },
+    };
+  };
+
+  it('should open a request span with a child span per attempt', async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+      calls++;
+      return calls === 1 ? new Response(null, { status: 503 }) : new Response('ok');
+    });
+    const tracer = createTracer();
+    const parentSpan = { id: 'parent' };
+    const wrapper = new HttpWrapper({ tracer, baseDelay: 5, jitter: false });
+
+    await wrapper.get('http://example.test/a', { parentSpan });
+
+    const [request, first, second] = tracer.spans;
+    assert.strictEqual(tracer.spans.length, 3);
+    assert.strictEqual(request.name, 'HTTP GET');
+    assert.strictEqual(request.parent, parentSpan);
+    assert.deepStrictEqual(
+      [first.parent, second.parent, first.attributes['http.retry.attempt'], second.attributes['http.retry.attempt']],
+      [request, request, 1, 2],
+    );
+    assert.strictEqual(first.attributes['http.response.status_code'], 503);
+    assert.strictEqual(first.status.code, 2);
+    assert.strictEqual(second.attributes['http.retry.backoff_delay_ms'], 5);
+    assert.strictEqual(second.attributes['circuit_breaker.state'], 'closed');
+    assert.strictEqual(request.attributes['http.response.status_code'], 200);
+    assert.strictEqual(request.attributes['http.retry.attempts'], 2);
+    assert.ok(tracer.spans.every(span => span.ended));
+  });
+
+  it('should inject traceparent and tracestate for each attempt', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+    const tracer = createTracer();
+    const wrapper = new HttpWrapper({ tracer, maxRetries: 1, baseDelay: 1 });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'));
+
+    const sent = fetchMock.mock.calls.map(call => new Headers(call.arguments[1].headers));
+    assert.deepStrictEqual(sent.map(headers => headers.get('traceparent')), [
+      `00-${'a'.repeat(32)}-${'2'.padStart(16, '0')}-01`,
+      `00-${'a'.repeat(32)}-${'3'.padStart(16, '0')}-01`,
+    ]);
+    assert.strictEqual(sent[0].get('tracestate'), 'vendor=1');
+    assert.strictEqual(tracer.spans[0].status.code, 2);
+    assert.strictEqual(tracer.spans[0].exceptions[0].status, 503);
+  });
+
+  it('should send no trace headers with the no-op tracer', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    await new HttpWrapper({ tracer: NOOP_TRACER }).get('http://example.test/');
+    assert.strictEqual(new Headers(fetchMock.mock.calls[0].arguments[1].headers).has('traceparent'), false);
+  });
+
+  it('should link OpenTelemetry spans through the context API', () => {
+    const calls = [];
+    const api = {
+      SpanKind: { CLIENT: 2 },
+      context: { active: () => 'root' },
+      trace: { setSpan: (context, span) => `${context}>${span}` },
+    };
+    const otelTracer = { startSpan: (...args) => calls.push(args) };
+    const tracer = createOpenTelemetryTracer(otelTracer, api);
+
+    tracer.startSpan('HTTP GET', { attributes: { a: 1 } });
+    tracer.startSpan('HTTP GET attempt', { parent: 'request', attributes: {} });
+
+    assert.deepStrictEqual(calls, [
+      ['HTTP GET', { kind: 2, attributes: { a: 1 } }, 'root'],
+      ['HTTP GET attempt', { kind: 2, attributes: {} }, 'root>request'],
+    ]);
+  });
+});
+
+describe('HttpWrapper typed errors', () => {
+  it('should throw an HttpError with the parsed JSON body and request details', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('{"error":"not_found"}', {
+      status: 404,
+      statusText: 'Not Found',
+      headers: { 'content-type': 'application/problem+json', 'x-request-id': 'abc' },
+    }));
+    const wrapper = new HttpWrapper();
+
+    await assert.rejects(() => wrapper.delete('http://example.test/users/1'), (error) => {
+      assert.ok(error instanceof HttpError);
+      assert.strictEqual(error.message, 'HTTP 404: Not Found');
+      assert.strictEqual(error.status, 404);
+      assert.deepStrictEqual(error.body, { error: 'not_found' });
+      assert.strictEqual(error.bodyTruncated, false);
+      assert.strictEqual(error.headers.get('x-request-id'), 'abc');
+      assert.strictEqual(error.method, 'DELETE');
+      assert.strictEqual(error.url, 'http://example.test/users/1');
+      return true;
+    });
+  });
+
+  it('should truncate long error bodies and keep a readable response', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('x'.repeat(100), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    }));
+    const wrapper = new HttpWrapper({ errorBodyLimit: 10 });
+
+    const error = await wrapper.get('http://example.test/').catch(e => e);
+    assert.strictEqual(error.body, 'x'.repeat(10));
+    assert.strictEqual(error.bodyTruncated, true);
+    assert.strictEqual(await error.response.text(), 'x'.repeat(10));
+  });
+
+  it('should list every attempt once retries are exhausted', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('busy', { status: 503 }));
+    const wrapper = new HttpWrapper({ maxRetries: 2, baseDelay: 5, jitter: false });
+
+    const error = await wrapper.get('http://example.test/').catch(e => e);
+
+    assert.ok(error instanceof RetriesExhaustedError);
+    assert.strictEqual(error.message, 'Request failed after 3 attempts: HTTP 503: ');
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(error.attempts, 3);
+    assert.ok(error.cause instanceof HttpError);
+    assert.strictEqual(error.lastError, error.cause);
+    assert.deepStrictEqual(error.history.map(({ attempt, delay }) => [attempt, delay]), [[1, 5], [2, 10], [3, null]]);
+    assert.ok(error.history.every(entry => entry.error.body === 'busy' && entry.duration >= 0));
+  });
+
+  it('should throw the error itself when it was not retried', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 404 }));
+    await assert.rejects(() => new HttpWrapper().get('http://example.test/'), HttpError);
+    await assert.rejects(() => new HttpWrapper({ maxRetries: 0 }).get('http://example.test/'), HttpError);
+  });
+
+  it('should throw a headers TimeoutError with the elapsed time', async (t) => {
+    t.mock.method(globalThis, 'fetch', (url, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+    }));
+    const wrapper = new HttpWrapper({ timeout: 20, maxRetries: 0 });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), (error) => {
+      assert.ok(error instanceof TimeoutError);
+      assert.strictEqual(error.phase, 'headers');
+      assert.ok(error.elapsed >= 15);
+      return true;
+    });
+  });
+});
+
+describe('HttpWrapper shouldRetry', () => {
+  it('should retry a successful response the predicate rejects', async (t) => {
+    const bodies = ['{"status":"pending"}', '{"status":"pending"}', '{"status":"done"}'];
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(bodies.shift()));
+    const wrapper = new HttpWrapper({
+      baseDelay: 1,
+      shouldRetry: async ({ response }) => {
+        if (response) {
+          return (await response.json()).status === 'pending';
+        }
+        return undefined;
+      },
+    });
+
+    const response = await wrapper.get('http://example.test/job');
+
+    assert.strictEqual(fetchMock.mock.callCount(), 3);
+    assert.deepStrictEqual(await response.json(), { status: 'done' });
+  });
+
+  it('should fail when the predicate still rejects the last response', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('{"status":"pending"}'));
+    const shouldRetry = t.mock.fn(async ({ response }) => (await response.json()).status === 'pending');
+    const wrapper = new HttpWrapper({ baseDelay: 1, maxRetries: 2, shouldRetry });
+
+    await assert.rejects(() => wrapper.get('http://example.test/job'), (error) => {
+      assert.ok(error instanceof RetriesExhaustedError);
+      assert.strictEqual(error.lastError.status, 200);
+      return true;
+    });
+    assert.strictEqual(fetchMock.mock.callCount(), 3);
+    assert.strictEqual(shouldRetry.mock.callCount(), 3);
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://example.test').failureCount, 1);
+
+    await assert.rejects(() => wrapper.get('http://example.test/job', { maxRetries: 0 }), { name: 'HttpError', status: 200 });
+  });
+
+  it('should retry a known transient error code with an explicit delay', async (t) => {
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+      calls++;
+      return calls === 1
+        ? new Response('{"code":"LOCK_TIMEOUT"}', { status: 400, headers: { 'content-type': 'application/json' } })
+        : new Response('ok');
+    });
+    const contexts = [];
+    const retries = [];
+    const wrapper = new HttpWrapper({
+      shouldRetry: (ctx) => {
+        contexts.push(ctx);
+        return ctx.error?.body?.code === 'LOCK_TIMEOUT' ? 15 : undefined;
+      },
+      onRetry: (attempt, error, info) => retries.push(info),
+    });
+
+    const response = await wrapper.get('http://example.test/');
+
+    assert.strictEqual(await response.text(), 'ok');
+    assert.deepStrictEqual(retries, [{ delay: 15, reason: 'should-retry' }]);
+    // Asked once for the failure and once for the successful response
+    assert.strictEqual(contexts.length, 2);
+    assert.strictEqual(contexts[1].error, null);
+    assert.strictEqual(contexts[0].attempt, 1);
+    assert.strictEqual(contexts[0].response.status, 400);
+    assert.strictEqual(contexts[0].method, 'GET');
+    assert.ok(contexts[0].elapsed >= 0);
+  });
+
+  it('should let false override the retryable lists and undefined defer to them', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 503 }));
+
+    await assert.rejects(() => new HttpWrapper({ shouldRetry: () => false }).get('http://example.test/'), HttpError);
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+
+    await assert.rejects(
+      () => new HttpWrapper({ maxRetries: 1, baseDelay: 1, shouldRetry: () => undefined }).get('http://example.test/'),
+      RetriesExhaustedError,
+    );
+    assert.strictEqual(fetchMock.mock.callCount(), 3);
+  });
+
+  it('should retry status ranges from retryableStatuses', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 507 }));
+    const wrapper = new HttpWrapper({ maxRetries: 1, baseDelay: 1, retryableStatuses: ['5xx'] });
+
+    await assert.rejects(() => wrapper.get('http://example.test/'), { name: 'RetriesExhaustedError', status: 507 });
+    assert.strictEqual(fetchMock.mock.callCount(), 2);
+  });
+});
+
+describe('HttpWrapper JSON methods', () => {
+  const json = (body, init = {}) => new Response(JSON.stringify(body), {
+    ...init,
+    headers: { 'content-type': 'application/json', ...init.headers },
+  });
+
+  it('should parse the body by content type', async (t) => {
+    const responses = [
+      json({ id: 1 }),
+      new Response('plain', { headers: { 'content-type': 'text/plain' } }),
+      new Response(null, { status: 204 }),
+      new Response(new TextEncoder().encode('[1,2]')),  // No content type
+    ];
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => responses.shift());
+    const wrapper = new HttpWrapper();
+
+    assert.deepStrictEqual(await wrapper.getJson('http://example.test/'), { id: 1 });
+    assert.strictEqual(await wrapper.getJson('http://example.test/'), 'plain');
+    assert.strictEqual(await wrapper.deleteJson('http://example.test/'), null);
+    assert.deepStrictEqual(await wrapper.getJson('http://example.test/'), [1, 2]);
+    assert.strictEqual(new Headers(fetchMock.mock.calls[0].arguments[1].headers).get('accept'), 'application/json');
+  });
+
+  it('should send the body and return the validated value', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async (url, options) => json({ ...JSON.parse(options.body), id: 7 }));
+    const wrapper = new HttpWrapper();
+
+    // Objects with parse() (e.g. zod schemas) may transform the data
+    const schema = { parse: data => ({ ...data, name: data.name.toUpperCase() }) };
+    const user = await wrapper.postJson('http://example.test/users', { name: 'ada' }, { validator: schema });
+
+    assert.deepStrictEqual(user, { name: 'ADA', id: 7 });
+    assert.strictEqual(new Headers(fetchMock.mock.calls[0].arguments[1].headers).get('content-type'), 'application/json');
+  });
+
+  it('should throw ResponseValidationError with the validator issues', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => json({ id: 'x' }));
+    const wrapper = new HttpWrapper();
+
+    // Ajv-style: a predicate that reports details on its errors property
+    const isUser = Object.assign(data => typeof data.id === 'number', { errors: [{ path: '/id', message: 'must be number' }] });
+    const error = await wrapper.getJson('http://example.test/users/1', { validator: isUser }).catch(e => e);
+    assert.ok(error instanceof ResponseValidationError);
+    assert.strictEqual(error.status, 200);
+    assert.strictEqual(error.method, 'GET');
+    assert.deepStrictEqual(error.data, { id: 'x' });
+    assert.deepStrictEqual(error.issues, [{ path: '/id', message: 'must be number' }]);
+
+    // Joi-style: validate() returning { value, error }
+    const joiLike = { validate: value => ({ value, error: Object.assign(new Error('"id" must be a number'), { details: ['id'] }) }) };
+    await assert.rejects(() => wrapper.getJson('http://example.test/users/1', { validator: joiLike }), {
+      name: 'ResponseValidationError',
+      message: 'Response body failed validation: "id" must be a number',
+      issues: ['id'],
+    });
+
+    await assert.rejects(() => wrapper.getJson('http://example.test/', { validator: {} }), TypeError);
+  });
+
+  it('should reject malformed JSON', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('{"id":', { headers: { 'content-type': 'application/json' } }));
+    const wrapper = new HttpWrapper();
+
+    const error = await wrapper.getJson('http://example.test/').catch(e => e);
+    assert.ok(error instanceof ResponseValidationError);
+    assert.ok(error.cause instanceof SyntaxError);
+    assert.strictEqual(error.data, '{"id":');
+  });
+
+  it('should leave the breaker alone for invalid bodies by default', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => json({ status: 'pending' }));
+    const wrapper = new HttpWrapper({ baseDelay: 1, circuitBreaker: { failureThreshold: 1 } });
+    const validator = data => data.status === 'done';
+
+    await assert.rejects(() => wrapper.getJson('http://example.test/', { validator }), ResponseValidationError);
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://example.test').state, 'closed');
+  });
+
+  it('should retry invalid bodies and count them as failures with retryOnInvalid', async (t) => {
+    const bodies = [{ status: 'pending' }, { status: 'done' }];
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => json(bodies.shift() ?? { status: 'pending' }));
+    const wrapper = new HttpWrapper({ baseDelay: 1, retryOnInvalid: true, circuitBreaker: { failureThreshold: 1 } });
+    const validator = data => data.status === 'done';
+
+    assert.deepStrictEqual(await wrapper.getJson('http://example.test/', { validator }), { status: 'done' });
+    assert.strictEqual(fetchMock.mock.callCount(), 2);
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://example.test').state, 'closed');
+
+    await assert.rejects(() => wrapper.getJson('http://example.test/', { validator, maxRetries: 0 }), ResponseValidationError);
+    assert.strictEqual(wrapper.getCircuitBreakerState('http://example.test').state, 'open');
+  });
+});
+
+describe('serializeParams', () => {
+  it('should serialize arrays in each format', () => {
+    const params = { tag: ['a', 'b'], page: 2, skip: undefined, empty: null };
+    assert.strictEqual(serializeParams(params), 'tag=a&tag=b&page=2');
+    assert.strictEqual(serializeParams(params, { arrayFormat: 'brackets' }), 'tag%5B%5D=a&tag%5B%5D=b&page=2');
+    assert.strictEqual(serializeParams(params, { arrayFormat: 'indices' }), 'tag%5B0%5D=a&tag%5B1%5D=b&page=2');
+    assert.strictEqual(serializeParams(params, { arrayFormat: 'comma' }), 'tag=a%2Cb&page=2');
+    assert.throws(() => serializeParams(params, { arrayFormat: 'json' }), TypeError);
+  });
+
+  it('should serialize nested objects and dates', () => {
+    const params = { filter: { status: 'open', owner: { id: 7 } }, since: new Date(Date.UTC(2024, 0, 2)) };
+    assert.strictEqual(
+      decodeURIComponent(serializeParams(params)),
+      'filter[status]=open&filter[owner][id]=7&since=2024-01-02T00:00:00.000Z',
+    );
+    assert.strictEqual(
+      decodeURIComponent(serializeParams(params, { nestedFormat: 'dots' })),
+      'filter.status=open&filter.owner.id=7&since=2024-01-02T00:00:00.000Z',
+    );
+  });
+});
+
+describe('HttpWrapper instance defaults', () => {
+  const requested = (t) => t.mock.method(globalThis, 'fetch', async () => new Response('{}', {
+    headers: { 'content-type': 'application/json' },
+  }));
+  const urls = fetchMock => fetchMock.mock.calls.map(call => String(call.arguments[0]));
+
+  it('should resolve relative URLs against baseURL', async (t) => {
+    const fetchMock = requested(t);
+    const wrapper = new HttpWrapper({ baseURL: 'https://api.example.com/v1/' });
+
+    await wrapper.get('users');
+    await wrapper.get('/users/1');
+    await wrapper.get('https://other.example.com/x');
+    await wrapper.get('');
+
+    assert.deepStrictEqual(urls(fetchMock), [
+      'https://api.example.com/v1/users',
+      'https://api.example.com/v1/users/1',
+      'https://other.example.com/x',
+      'https://api.example.com/v1/',
+    ]);
+    assert.deepStrictEqual(Object.keys(wrapper.getCircuitBreakerStates()), ['https://api.example.com', 'https://other.example.com']);
+  });
+
+  it('should merge config and per-call params into the query string', async (t) => {
+    const fetchMock = requested(t);
+    const wrapper = new HttpWrapper({
+      baseURL: 'https://api.example.com',
+      params: { apiKey: 'k', lang: 'en' },
+      paramsSerializer: { arrayFormat: 'comma' },
+    });
+
+    await wrapper.get('/search?q=x#top', { params: { lang: 'de', tags: ['a', 'b'] } });
+    await wrapper.get('/plain', { paramsSerializer: params => `custom=${Object.keys(params).length}` });
+
+    assert.deepStrictEqual(urls(fetchMock), [
+      'https://api.example.com/search?q=x&apiKey=k&lang=de&tags=a%2Cb#top',
+      'https://api.example.com/plain?custom=2',
+    ]);
+  });
+
+  it('should send default headers, letting per-call headers win', async (t) => {
+    const fetchMock = requested(t);
+    const wrapper = new HttpWrapper({
+      headers: { Authorization: 'Bearer abc', Accept: 'application/vnd.api+json', 'X-Client': 'svc' },
+    });
+
+    await wrapper.get('https://api.example.com/', { headers: { 'x-client': 'override' } });
+    await wrapper.getJson('https://api.example.com/');
+
+    const [first, second] = fetchMock.mock.calls.map(call => new Headers(call.arguments[1].headers));
+    assert.strictEqual(first.get('authorization'), 'Bearer abc');
+    assert.strictEqual(first.get('x-client'), 'override');
+    assert.strictEqual(second.get('accept'), 'application/vnd.api+json');
+  });
+});
+
+describe('HttpWrapper extend', () => {
+  it('should inherit config and middleware, with overrides merged in', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    const seen = [];
+    const parent = new HttpWrapper({ baseURL: 'https://api.example.com', headers: { 'X-App': 'shop' }, maxRetries: 5 });
+    parent.use({ beforeRequest: ({ url }) => { seen.push(`parent ${url}`); } });
+
+    const child = parent.extend({ baseURL: 'https://api.example.com/orders', headers: { Authorization: 'Bearer t' } });
+    child.use({ beforeRequest: ({ url }) => { seen.push(`child ${url}`); } });
+
+    await child.get('42');
+    await parent.get('/health');
+
+    assert.strictEqual(child.config.maxRetries, 5);
+    const headers = new Headers(fetchMock.mock.calls[0].arguments[1].headers);
+    assert.strictEqual(headers.get('x-app'), 'shop');
+    assert.strictEqual(headers.get('authorization'), 'Bearer t');
+    assert.deepStrictEqual(seen, [
+      'parent https://api.example.com/orders/42',
+      'child https://api.example.com/orders/42',
+      'parent https://api.example.com/health',
+    ]);
+  });
+
+  it('should share circuit breakers with the parent by default', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+    const parent = new HttpWrapper({ maxRetries: 0, circuitBreaker: { failureThreshold: 1 } });
+    const shared = parent.extend({ headers: { 'X-Tenant': 'a' } });
+    const isolated = parent.extend({}, { shareCircuitBreaker: false });
+
+    await assert.rejects(() => shared.get('http://api.test/'), HttpError);
+    await assert.rejects(() => parent.get('http://api.test/'), CircuitBreakerOpenError);
+    await assert.rejects(() => isolated.get('http://api.test/'), HttpError);
+
+    assert.throws(() => parent.extend({ circuitBreaker: { failureThreshold: 3 } }), TypeError);
+    const own = parent.extend({ circuitBreaker: { failureThreshold: 3 } }, { shareCircuitBreaker: false });
+    assert.strictEqual(own.config.circuitBreaker.failureThreshold, 3);
+    assert.strictEqual(parent.config.circuitBreaker.failureThreshold, 1);
+  });
+
+  it('should let the body pick Content-Type over an instance default', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('ok'));
+    const wrapper = new HttpWrapper({ headers: { 'Content-Type': 'application/json' } });
+    const contentType = (call) => new Headers(fetchMock.mock.calls[call].arguments[1].headers).get('content-type');
+
+    const form = new FormData();
+    form.append('file', new Blob(['x']), 'x.txt');
+    await wrapper.put('http://api.test/upload', form);
+    await wrapper.post('http://api.test/bytes', Buffer.from('x'));
+    await wrapper.post('http://api.test/raw', '{"a":1}');
+    await wrapper.post('http://api.test/own', Buffer.from('x'), { headers: { 'Content-Type': 'image/png' } });
+    await wrapper.post('http://api.test/later', () => Buffer.from('x'));
+
+    assert.strictEqual(contentType(0), null);
+    assert.strictEqual(contentType(1), 'application/octet-stream');
+    assert.strictEqual(contentType(2), 'application/json');
+    assert.strictEqual(contentType(3), 'image/png');
+    assert.strictEqual(contentType(4), 'application/octet-stream');
+  });
+
+  it('should emit shared breaker transitions on every sharing wrapper', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+    const parent = new HttpWrapper({ maxRetries: 0, circuitBreaker: { failureThreshold: 1 } });
+    const child = parent.extend();
+    const metrics = new MetricsCollector();
+    metrics.attach(child);
+    const seen = [];
+    parent.on('circuit:state', ({ to }) => seen.push(`parent ${to}`));
+    child.on('circuit:state', ({ to }) => seen.push(`child ${to}`));
+
+    await assert.rejects(() => parent.get('http://api.test/'), HttpError);
+    assert.deepStrictEqual(seen, ['parent open', 'child open']);
+    assert.match(metrics.render(), /^http_client_circuit_transitions_total\{key="http:\/\/api.test",state="open"\} 1$/m);
+  });
 });
 
 describe('httpFetch convenience function', () => {
@@ -228,3 +2897,58 @@ describe('DEFAULT_CONFIG', () => {
     assert.ok(DEFAULT_CONFIG.hasOwnProperty('circuitBreaker'));
   });
 });
+
+describe('CLI circuit commands', () => {
+  const cli = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+  const setup = async (t) => {
+    const directory = await mkdtemp(path.join(os.tmpdir(), 'cli-circuit-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'state.json');
+    const store = new FileBreakerStateStore({ file });
+    await store.set('http://a.test', { state: 'open', failureCount: 3, successCount: 0, lastFailureTime: Date.now() });
+    await store.set('https://b.test:8443', { state: 'closed', failureCount: 1, successCount: 0, lastFailureTime: null });
+
+    const run = (...args) => promisify(execFile)(process.execPath, [cli, 'circuit', ...args, '--circuit-state', file], { timeout: 10000 });
+    return { store, run };
+  };
+
+  it('should show all states, or those for a host', async (t) => {
+    const { run } = await setup(t);
+
+    const { stdout } = await run('status');
+    assert.match(stdout, /🔴 http:\/\/a\.test {2}open {2}\(failures: 3, half-open in \d+s\)/);
+    assert.match(stdout, /🟢 https:\/\/b\.test:8443 {2}closed {2}\(failures: 1\)/);
+
+    const json = JSON.parse((await run('status', 'b.test', '--json')).stdout);
+    assert.deepStrictEqual(Object.keys(json), ['https://b.test:8443']);
+    assert.deepStrictEqual(JSON.parse((await run('status', 'https://a.test/any', '--json')).stdout), {});
+  });
+
+  it('should reset the breakers for a host, or all of them', async (t) => {
+    const { store, run } = await setup(t);
+
+    assert.match((await run('reset', 'a.test')).stdout, /Reset 1 circuit breaker/);
+    assert.deepStrictEqual(Object.keys(await store.getAll()), ['https://b.test:8443']);
+
+    await run('reset');
+    assert.deepStrictEqual(await store.getAll(), {});
+  });
+
+  it('should open the recorded breaker for a bare host, whatever its scheme', async (t) => {
+    const { store, run } = await setup(t);
+
+    assert.match((await run('open', 'b.test')).stdout, /Opened circuit breaker for https:\/\/b\.test:8443/);
+    assert.strictEqual((await store.get('https://b.test:8443')).state, 'open');
+
+    await run('open', 'http://new.test/path');
+    assert.strictEqual((await store.get('http://new.test')).state, 'open');
+
+    await assert.rejects(() => run('open', 'unknown.test'), (error) => {
+      assert.strictEqual(error.code, 1);
+      assert.match(error.stderr, /pass a URL or origin/);
+      return true;
+    });
+    assert.strictEqual(await store.get('https://unknown.test'), undefined);
+  });
+});